@@ -0,0 +1,99 @@
+require('dotenv').config();
+const { pool } = require('./src/db');
+const { getMigrationStatus, runMigrations } = require('./src/migrations');
+const { createApiKey, listApiKeys, revokeApiKey } = require('./src/auth');
+const { getLocalizedCountryName } = require('./src/languages');
+const { createUnogsClient, createUnogsProvider } = require('./src/providers/unogs');
+const { loadPlatforms, resolvePlatformName } = require('./src/platforms');
+const { saveExchangeRates, fetchEcbRates } = require('./src/exchange-rates');
+
+// Usage:
+//   node cli.js migrate up | migrate status
+//   node cli.js keys create <name> [admin|debug] | keys list | keys revoke <id>
+//   node cli.js unogs fetch <movie|tv> <tmdb_id> <netflix_id>   (UNOGS_FIXTURES=replay pour rejouer les fixtures)
+//   node cli.js rates update                                    (taux de référence BCE → exchange_rates)
+const commands = {
+  'migrate up': async () => {
+    const applied = await runMigrations(pool);
+    console.log(applied.length > 0 ? `✅ ${applied.length} migration(s) applied` : '✅ Database is up to date');
+  },
+
+  'migrate status': async () => {
+    const status = await getMigrationStatus(pool);
+    const icons = { applied: '✅', pending: '⏳', modified: '⚠️', missing: '❓' };
+    for (const migration of status) {
+      const appliedAt = migration.applied_at ? ` (${new Date(migration.applied_at).toISOString()})` : '';
+      console.log(`${icons[migration.status]} ${String(migration.version).padStart(3, '0')} ${migration.name} - ${migration.status}${appliedAt}`);
+    }
+    if (status.some(migration => migration.status === 'pending')) {
+      process.exitCode = 1;
+    }
+  },
+
+  'keys create': async ([name, role = 'admin']) => {
+    if (!name) throw new Error('Usage: node cli.js keys create <name> [admin|debug]');
+    const apiKey = await createApiKey(pool, name, role);
+    console.log(`✅ API key #${apiKey.id} "${apiKey.name}" (${apiKey.role}) created`);
+    console.log(`   ${apiKey.key}`);
+    console.log('   Store it now: only its hash is kept in the database.');
+  },
+
+  'keys list': async () => {
+    for (const apiKey of await listApiKeys(pool)) {
+      const state = apiKey.revoked_at ? 'revoked' : 'active';
+      const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).toISOString() : 'never';
+      console.log(`#${apiKey.id} ${apiKey.key_prefix}… ${apiKey.name} (${apiKey.role}) - ${state}, last used ${lastUsed}`);
+    }
+  },
+
+  'keys revoke': async ([id]) => {
+    if (!id) throw new Error('Usage: node cli.js keys revoke <id>');
+    const revoked = await revokeApiKey(pool, parseInt(id));
+    console.log(revoked ? `✅ API key #${id} revoked` : `❓ No active API key #${id}`);
+  },
+
+  'rates update': async () => {
+    const saved = await saveExchangeRates(pool, await fetchEcbRates(), 'ecb');
+    console.log(`✅ ${saved} exchange rates imported from the ECB`);
+  },
+
+  // Affiche les lignes normalisées par l'adapter uNoGS, sans rien écrire en base
+  'unogs fetch': async ([mediaType, tmdbId, netflixId]) => {
+    if (!mediaType || !tmdbId || !netflixId) {
+      throw new Error('Usage: node cli.js unogs fetch <movie|tv> <tmdb_id> <netflix_id>');
+    }
+    // Catalogue lu (sans écriture) pour afficher le nom canonique de la plateforme
+    await loadPlatforms(pool);
+    const provider = createUnogsProvider({
+      client: createUnogsClient(),
+      tmdbClient: null,
+      resolvePlatformName,
+      getCountryName: code => getLocalizedCountryName(code, 'fr') || code
+    });
+    const raw = await provider.fetch(parseInt(tmdbId), mediaType, { netflixId });
+    for (const avail of provider.normalise(parseInt(tmdbId), raw, mediaType)) {
+      const tracks = list => list.map(track => `${track.language}${track.region ? `-${track.region}` : ''}${track.closed_captions ? ' (CC)' : ''}`).join(', ');
+      console.log(`${avail.country_code} ${avail.platform} - audio: ${tracks(avail.audio_languages) || '?'} | subtitles: ${tracks(avail.subtitle_languages) || '?'}`);
+    }
+  }
+};
+
+async function main() {
+  const command = process.argv.slice(2, 4).join(' ');
+  const run = commands[command];
+
+  if (!run) {
+    console.error(`Unknown command "${command}". Available: ${Object.keys(commands).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await run(process.argv.slice(4));
+}
+
+main()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -2,74 +2,208 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
-const { Pool } = require('pg');
+const { pool } = require('./src/db');
+const { getPendingMigrations } = require('./src/migrations');
+const { authenticate, requireRole, requireConfirmation, hashToken, createDevice, createConfirmationToken, requireDevice } = require('./src/auth');
+const { getNotifier, listNotifiers, assertPublicUrl } = require('./src/notifiers');
+const { generateWebhookSecret, enqueueWebhookDeliveries, processWebhookDeliveries } = require('./src/webhooks');
+const { registerProvider, getProvider, getEnabledProviders, describeProvider, mergeProviderResults } = require('./src/providers');
+const { createStreamingAvailabilityProvider } = require('./src/providers/streaming-availability');
+const { createTmdbProvider } = require('./src/providers/tmdb');
+const { createUnogsClient, createUnogsProvider } = require('./src/providers/unogs');
+const { UPSTREAMS, loadPlatforms, resolvePlatformName, findPlatform, getUpstreamIds, listPlatforms } = require('./src/platforms');
+const { ADDON_ACTIONS, loadAddonRules, findAddonRule, resolveAddon, flushUnmappedAddons } = require('./src/addons');
+const { loadExchangeRates, convertToEur, saveExchangeRates, fetchEcbRates } = require('./src/exchange-rates');
+const { loadLinkTemplates, classifyLink, resolveLink, validateLinkTemplate } = require('./src/links');
+const { MemoryRateLimitStore, PostgresRateLimitStore, rateLimit } = require('./src/rate-limit');
+const {
+  LANGUAGES,
+  getLanguageConfig,
+  getLocalizedCountryName,
+  getLanguageConfidence
+} = require('./src/languages');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Derrière un reverse proxy, req.ip doit venir de X-Forwarded-For (ex. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(authenticate(pool));
+
+// Routes admin (destructives) et debug (consomment du quota payant)
+const requireAdmin = requireRole('admin');
+const requireDebug = requireRole('debug');
+
+// Rate limiting : routes TMDB bon marché / routes qui consomment le quota payant
+const rateLimitStore = (process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'production' ? 'postgres' : 'memory')) === 'postgres'
+  ? new PostgresRateLimitStore(pool)
+  : new MemoryRateLimitStore();
+
+const cheapRateLimit = rateLimit({
+  name: 'cheap',
+  windowMs: parseInt(process.env.RATE_LIMIT_CHEAP_WINDOW_MS) || 60 * 1000,
+  max: parseInt(process.env.RATE_LIMIT_CHEAP_MAX) || 60,
+  store: rateLimitStore
+});
+
+const costlyRateLimitOptions = {
+  name: 'costly',
+  windowMs: parseInt(process.env.RATE_LIMIT_COSTLY_WINDOW_MS) || 60 * 60 * 1000,
+  max: parseInt(process.env.RATE_LIMIT_COSTLY_MAX) || 5,
+  store: rateLimitStore
+};
+const costlyRateLimit = rateLimit(costlyRateLimitOptions);
 
-// PostgreSQL connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+// Même bucket, mais seuls le refresh forcé et le titre absent du cache coûtent du quota
+// (req.cacheRefreshedAt, lu par loadCacheRefreshedAt juste avant)
+const paidRefreshRateLimit = rateLimit({
+  ...costlyRateLimitOptions,
+  skip: req => req.query.refresh !== 'true' && !!req.cacheRefreshedAt
 });
+// Idem pour la disponibilité groupée : seul missing=fetch interroge les sources
+const batchFetchRateLimit = rateLimit({ ...costlyRateLimitOptions, skip: req => req.body?.missing !== 'fetch' });
+
+setInterval(() => {
+  rateLimitStore.cleanup().catch(err => console.error('Rate limit cleanup error:', err.message));
+}, 60 * 60 * 1000).unref();
 
 // ===========================================
-// 🆕 COMPTEUR API QUOTA
+// 🆕 COMPTEUR API QUOTA (persisté en base)
 // ===========================================
-let apiRequestCount = 0;
-let lastResetDate = new Date().toDateString();
-
-function checkAndResetCounter() {
-  const today = new Date().toDateString();
-  if (today !== lastResetDate) {
-    console.log('✅ Compteur API reset pour nouveau jour');
-    console.log(`Ancien: ${lastResetDate} (${apiRequestCount} requêtes)`);
-    console.log(`Nouveau: ${today} (0 requêtes)`);
-    apiRequestCount = 0;
-    lastResetDate = today;
+// Le compteur vit dans Postgres (table api_quota_usage) : il survit aux
+// redémarrages et il est partagé entre toutes les instances.
+const QUOTA_DAILY_LIMIT = parseInt(process.env.STREAMING_API_DAILY_LIMIT) || 100;
+const QUOTA_WARNING_PERCENT = parseFloat(process.env.STREAMING_API_WARNING_PERCENT) || 70;
+const QUOTA_CRITICAL_PERCENT = parseFloat(process.env.STREAMING_API_CRITICAL_PERCENT) || 90;
+const QUOTA_RESET_TIMEZONE = process.env.STREAMING_API_RESET_TIMEZONE || 'UTC';
+
+// Un budget journalier par source payante, désigné par le nom de l'adapter (colonne provider)
+const STREAMING_QUOTA = 'streaming-availability';
+const QUOTA_LIMITS = {
+  [STREAMING_QUOTA]: QUOTA_DAILY_LIMIT,
+  unogs: parseInt(process.env.UNOGS_DAILY_LIMIT) || 100
+};
+// Sources d'appoint : leur quota épuisé, le refresh continue (et se met en cache) sans elles.
+// Seul le quota de Streaming Availability rend un refresh partiel.
+const OPTIONAL_QUOTAS = ['unogs'];
+
+class QuotaExceededError extends Error {
+  constructor(used, limit, provider = STREAMING_QUOTA) {
+    super(`${provider} daily quota exhausted (${used}/${limit})`);
+    this.name = 'QuotaExceededError';
+    this.provider = provider;
+    this.used = used;
+    this.limit = limit;
   }
 }
 
-// Vérifier le reset toutes les heures
-setInterval(checkAndResetCounter, 3600000);
-// ===========================================
+function getQuotaLevel(used, limit = QUOTA_DAILY_LIMIT) {
+  const percentage = (used / limit) * 100;
+  if (percentage >= QUOTA_CRITICAL_PERCENT) return 'critical';
+  if (percentage >= QUOTA_WARNING_PERCENT) return 'warning';
+  return 'ok';
+}
 
-// Initialize database
-pool.query(`
-  CREATE TABLE IF NOT EXISTS availabilities (
-    id SERIAL PRIMARY KEY,
-    tmdb_id INTEGER NOT NULL,
-    media_type VARCHAR(10) NOT NULL DEFAULT 'movie',
-    platform VARCHAR(100) NOT NULL,
-    country_code VARCHAR(10) NOT NULL,
-    country_name VARCHAR(100) NOT NULL,
-    streaming_type VARCHAR(20) NOT NULL DEFAULT 'subscription',
-    addon_name VARCHAR(100),
-    season_number INTEGER,
-    has_french_audio BOOLEAN DEFAULT false,
-    has_french_subtitles BOOLEAN DEFAULT false,
-    streaming_url TEXT,
-    quality VARCHAR(20),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(tmdb_id, media_type, platform, country_code, streaming_type, addon_name, quality, season_number)
-  );
+/**
+ * Réserve une requête sur le quota du jour de la source avant l'appel réel.
+ * Le verrou advisory sérialise les réservations entre instances,
+ * sinon deux instances pourraient dépasser la limite en même temps.
+ * Toujours sur un client du pool à part : la transaction ne doit rien embarquer d'autre.
+ */
+async function reserveQuota(provider, endpoint, tmdbId, mediaType) {
+  const limit = QUOTA_LIMITS[provider];
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`api_quota_usage:${provider}`]);
+
+    const usage = await client.query(
+      `SELECT (now() AT TIME ZONE $1)::date::text AS usage_date, COALESCE(SUM(request_count), 0)::int AS used
+       FROM api_quota_usage
+       WHERE provider = $2 AND usage_date = (now() AT TIME ZONE $1)::date`,
+      [QUOTA_RESET_TIMEZONE, provider]
+    );
+    const { usage_date: usageDate, used } = usage.rows[0];
+
+    if (used >= limit) {
+      await client.query('ROLLBACK');
+      return { allowed: false, used, limit, date: usageDate };
+    }
 
-  CREATE INDEX IF NOT EXISTS idx_tmdb_platform ON availabilities(tmdb_id, platform);
-  CREATE INDEX IF NOT EXISTS idx_updated_at ON availabilities(updated_at);
-  CREATE INDEX IF NOT EXISTS idx_streaming_type ON availabilities(streaming_type);
-`).catch(err => console.error('Database initialization error:', err));
+    await client.query(
+      `INSERT INTO api_quota_usage (provider, usage_date, endpoint, tmdb_id, media_type, request_count)
+       VALUES ($1, $2, $3, $4, $5, 1)
+       ON CONFLICT (provider, usage_date, endpoint, tmdb_id, media_type)
+       DO UPDATE SET request_count = api_quota_usage.request_count + 1, updated_at = CURRENT_TIMESTAMP`,
+      [provider, usageDate, endpoint, tmdbId, mediaType]
+    );
+    await client.query('COMMIT');
+
+    return { allowed: true, used: used + 1, limit, date: usageDate };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Réserve la requête ou lève QuotaExceededError, avec le log habituel.
+ */
+async function consumeQuota(provider, endpoint, tmdbId, mediaType) {
+  const quota = await reserveQuota(provider, endpoint, tmdbId, mediaType);
+
+  if (!quota.allowed) {
+    console.log(`🛑 Quota ${provider} épuisé (${quota.used}/${quota.limit}) - requête refusée: ${endpoint}`);
+    throw new QuotaExceededError(quota.used, quota.limit, provider);
+  }
+
+  const level = getQuotaLevel(quota.used, quota.limit);
+  const marker = level === 'critical' ? '🔴' : level === 'warning' ? '🟠' : '📊';
+  console.log(`${marker} Requête ${provider} #${quota.used}/${quota.limit} - ${mediaType} ${tmdbId}`);
+}
+
+async function getQuotaStatus(provider = STREAMING_QUOTA) {
+  const limit = QUOTA_LIMITS[provider];
+  const result = await pool.query(
+    `WITH today AS (SELECT (now() AT TIME ZONE $1)::date AS usage_date)
+     SELECT today.usage_date::text AS usage_date, u.endpoint, COALESCE(SUM(u.request_count), 0)::int AS used
+     FROM today
+     LEFT JOIN api_quota_usage u ON u.usage_date = today.usage_date AND u.provider = $2
+     GROUP BY today.usage_date, u.endpoint
+     ORDER BY used DESC`,
+    [QUOTA_RESET_TIMEZONE, provider]
+  );
+  const endpoints = result.rows.filter(row => row.endpoint);
+
+  const used = endpoints.reduce((sum, row) => sum + row.used, 0);
+  return {
+    provider,
+    used,
+    remaining: Math.max(limit - used, 0),
+    limit,
+    percentage: ((used / limit) * 100).toFixed(1),
+    status: getQuotaLevel(used, limit),
+    date: result.rows[0].usage_date,
+    timezone: QUOTA_RESET_TIMEZONE,
+    by_endpoint: endpoints.map(row => ({ endpoint: row.endpoint, used: row.used }))
+  };
+}
+// ===========================================
 
 // TMDB API client
 const tmdbClient = axios.create({
   baseURL: 'https://api.themoviedb.org/3',
   params: {
     api_key: process.env.TMDB_API_KEY,
-    language: 'fr-FR'
+    language: getLanguageConfig().tmdb_locale
   }
 });
 
@@ -82,76 +216,17 @@ const streamingClient = axios.create({
   }
 });
 
-// ============================================
-// PLATFORM MAPPINGS
-// ============================================
-const PLATFORMS = {
-  'netflix': 'Netflix',
-  'prime': 'Amazon Prime',
-  'disney': 'Disney+',
-  'hbo': 'Max',
-  'apple': 'Apple TV+',
-  'paramount': 'Paramount+',
-  'peacock': 'Peacock',
-  'hulu': 'Hulu',
-  'mubi': 'MUBI',
-  'stan': 'Stan',
-  'now': 'NOW',
-  'crave': 'Crave',
-  'all4': 'Channel 4',
-  'iplayer': 'BBC iPlayer',
-  'britbox': 'BritBox',
-  'hotstar': 'Disney+ Hotstar',
-  'zee5': 'Zee5',
-  'curiosity': 'CuriosityStream',
-  'wow': 'WOW',
-  'canal': 'Canal+'
-};
+// Priority countries of the default language (see src/languages.js for the per-language config)
+const PRIORITY_COUNTRIES = getLanguageConfig().priority_countries;
 
-// TMDB Provider ID to Platform Name mapping
-const TMDB_PROVIDER_NAMES = {
-  8: 'Netflix',
-  9: 'Amazon Prime',
-  10: 'Amazon Prime',
-  119: 'Amazon Prime',
-  337: 'Disney+',
-  2: 'Apple TV+',
-  350: 'Apple TV+',
-  531: 'Paramount+',
-  1899: 'Max',
-  384: 'Max',
-  // Canal+ family
-  381: 'Canal+',
-  929: 'Canal+',
-  1754: 'Canal+ Cinéma',
-  345: 'Canal+ Séries',
-  334: 'OCS',
-  56: 'OCS',
-  // French platforms
-  236: 'France TV',
-  59: 'Arte',
-  1870: 'ADN',
-  1960: 'Crunchyroll',
-  283: 'Crunchyroll',
-  192: 'YouTube',
-  3: 'Google Play',
-  // Other
-  15: 'Hulu',
-  386: 'Peacock',
-  387: 'Peacock',
-  1770: 'Paramount+',
-  582: 'Pass Warner',
-  1967: 'SkyShowtime',
-  // Canada
-  230: 'Crave',
-  // Rent/Buy
-  68: 'Microsoft Store',
-  35: 'Rakuten TV'
-};
+// Le cache est partagé entre les langues : les textes de l'API Streaming Availability
+// (noms de services, etc.) sont toujours demandés dans la même langue
+const STREAMING_OUTPUT_LANGUAGE = process.env.STREAMING_OUTPUT_LANGUAGE || 'fr';
 
-// Priority countries (French-speaking)
-const PRIORITY_COUNTRIES = ['FR', 'BE', 'CH', 'LU', 'CA'];
-const FRENCH_SPEAKING_COUNTRIES = ['FR', 'BE', 'CH', 'LU', 'CA', 'MC', 'SN', 'CI', 'ML', 'MG', 'CM', 'HT'];
+// Détail des séries demandé à l'API : show (série entière), season ou episode (même coût en quota)
+const STREAMING_SERIES_GRANULARITY = ['show', 'season', 'episode'].includes(process.env.STREAMING_SERIES_GRANULARITY)
+  ? process.env.STREAMING_SERIES_GRANULARITY
+  : 'season';
 
 // Country name mapping (complete list)
 function getCountryName(code) {
@@ -216,63 +291,44 @@ function getCountryName(code) {
 // Cache duration: 7 days
 const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000;
 
-// ============================================
-// PLATFORM NAME NORMALIZATION
-// ============================================
-/**
- * Normalise les noms de plateformes pour éviter les doublons
- * Netflix with ads → Netflix
- * Crave CA / Crave Amazon Channel → Crave
- * etc.
- */
-function normalizePlatformName(platformName) {
-  const name = platformName.toLowerCase();
-  
-  // Netflix variants (Netflix, Netflix with ads, Netflix basic with ads, etc.)
-  if (name.includes('netflix')) return 'Netflix';
-  
-  // Crave variants (Crave, CraveCa, Crave Amazon Channel, etc.)
-  if (name.includes('crave')) return 'Crave';
-  
-  // Amazon Prime variants
-  if (name.includes('prime') || name.includes('amazon')) return 'Amazon Prime';
-  
-  // Disney+ variants
-  if (name.includes('disney')) return 'Disney+';
-  
-  // Apple TV+ variants
-  if (name.includes('apple tv')) return 'Apple TV+';
-  
-  // Max / HBO variants
-  if (name.includes('hbo') || name.includes('max')) return 'Max';
-  
-  // Paramount+ variants
-  if (name.includes('paramount')) return 'Paramount+';
-  
-  // Canal+ variants
-  if (name.includes('canal')) return 'Canal+';
-  
-  // Hulu variants
-  if (name.includes('hulu')) return 'Hulu';
-  
-  // Peacock variants
-  if (name.includes('peacock')) return 'Peacock';
-  
-  // Starz variants
-  if (name.includes('starz')) return 'Starz';
-  
-  // OCS variants
-  if (name.includes('ocs')) return 'OCS';
-  
-  // Return original if no match
-  return platformName;
-}
-
-// Sort availabilities with priority countries first (FR, BE, CH, LU, CA)
-function sortByPriorityCountries(availabilities) {
+// Background refresh queue
+const REFRESH_QUEUE_INTERVAL = parseInt(process.env.REFRESH_QUEUE_INTERVAL_MS) || 60 * 1000;
+const REFRESH_QUEUE_BATCH_SIZE = parseInt(process.env.REFRESH_QUEUE_BATCH_SIZE) || 5;
+const REFRESH_QUEUE_MAX_ATTEMPTS = parseInt(process.env.REFRESH_QUEUE_MAX_ATTEMPTS) || 5;
+// Requêtes gardées en réserve pour les refresh forcés et les titres jamais vus
+const REFRESH_QUEUE_QUOTA_RESERVE = parseInt(process.env.REFRESH_QUEUE_QUOTA_RESERVE) || 10;
+// Attente maximale du verrou d'un titre en cours de refresh, puis le cache (même périmé) est servi
+const REFRESH_LOCK_WAIT = parseInt(process.env.REFRESH_LOCK_WAIT_MS) || 30 * 1000;
+const REFRESH_LOCK_POLL_INTERVAL = 250;
+
+// Rechargement du catalogue des plateformes (modifications faites par une autre instance)
+const PLATFORMS_RELOAD_INTERVAL = parseInt(process.env.PLATFORMS_RELOAD_MS) || 5 * 60 * 1000;
+// Rechargement des taux de change (mis à jour par la CLI ou une autre instance)
+const EXCHANGE_RATES_RELOAD_INTERVAL = parseInt(process.env.EXCHANGE_RATES_RELOAD_MS) || 60 * 60 * 1000;
+
+// Écriture en base des addons sans règle vus dans les réponses des sources
+const UNMAPPED_ADDONS_FLUSH_INTERVAL = parseInt(process.env.UNMAPPED_ADDONS_FLUSH_MS) || 60 * 1000;
+
+// Disponibilité groupée : titres par requête, titres absents du cache rafraîchis en ligne (missing=fetch)
+const AVAILABILITY_BATCH_MAX = parseInt(process.env.AVAILABILITY_BATCH_MAX) || 50;
+const AVAILABILITY_BATCH_FETCH_MAX = parseInt(process.env.AVAILABILITY_BATCH_FETCH_MAX) || 3;
+// Filmographies / collections filtrées : titres hors cache vérifiés via TMDB par requête
+const AVAILABILITY_BACKFILL_MAX = parseInt(process.env.AVAILABILITY_BACKFILL_MAX) || 20;
+// Catalogue : fiches TMDB chargées par page pour les titres absents de la table media
+const CATALOG_DETAILS_FETCH_MAX = parseInt(process.env.CATALOG_DETAILS_FETCH_MAX) || 5;
+
+// Recherche : au-delà de ce délai, TMDB est abandonné pour la recherche locale (trigrammes sur la table media)
+const SEARCH_TMDB_TIMEOUT = parseInt(process.env.SEARCH_TMDB_TIMEOUT_MS) || 3000;
+const SEARCH_PAGE_SIZE = 20;
+
+// Outgoing webhooks worker
+const WEBHOOK_DELIVERY_INTERVAL = parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS) || 30 * 1000;
+
+// Sort availabilities with priority countries first (FR, BE, CH, LU, CA by default)
+function sortByPriorityCountries(availabilities, priorityCountries = PRIORITY_COUNTRIES, locale = 'fr') {
   return availabilities.sort((a, b) => {
-    const aIdx = PRIORITY_COUNTRIES.indexOf(a.country_code);
-    const bIdx = PRIORITY_COUNTRIES.indexOf(b.country_code);
+    const aIdx = priorityCountries.indexOf(a.country_code);
+    const bIdx = priorityCountries.indexOf(b.country_code);
     
     // Both are priority countries - sort by priority order
     if (aIdx !== -1 && bIdx !== -1) {
@@ -283,679 +339,3286 @@ function sortByPriorityCountries(availabilities) {
     // Only b is priority - b comes first
     if (bIdx !== -1) return 1;
     // Neither is priority - sort alphabetically by country name
-    return (a.country_name || '').localeCompare(b.country_name || '', 'fr');
+    return (a.country_name || '').localeCompare(b.country_name || '', locale);
   });
 }
 
 // ============================================
-// TMDB WATCH PROVIDERS
+// TMDB METADATA (cache local, table media)
 // ============================================
-async function fetchTmdbWatchProviders(tmdbId, mediaType = 'movie') {
+const MEDIA_CACHE_DURATION = (parseInt(process.env.MEDIA_CACHE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const MEDIA_COLUMNS = ['title', 'original_title', 'year', 'poster_path', 'backdrop_path', 'overview', 'genres', 'vote_average', 'number_of_seasons', 'seasons'];
+// Colonnes propres à la fiche détaillée
+const MEDIA_DETAIL_COLUMNS = ['number_of_seasons', 'seasons'];
+
+// Résultat TMDB (fiche détaillée ou élément de liste) → ligne de la table media
+function mediaRowFromTmdb(item, mediaType) {
+  const isMovie = mediaType === 'movie';
+  const date = isMovie ? item.release_date : item.first_air_date;
+  return {
+    tmdb_id: item.id,
+    media_type: mediaType,
+    title: isMovie ? item.title : item.name,
+    original_title: isMovie ? item.original_title : item.original_name,
+    year: date ? new Date(date).getFullYear() : null,
+    poster_path: item.poster_path || null,
+    backdrop_path: item.backdrop_path || null,
+    overview: item.overview || null,
+    genres: item.genres || (item.genre_ids || []).map(id => ({ id })),
+    vote_average: item.vote_average ?? null,
+    number_of_seasons: mediaType === 'tv' ? item.number_of_seasons ?? null : null,
+    seasons: mediaType === 'tv' && Array.isArray(item.seasons)
+      ? item.seasons.map(season => ({
+        season_number: season.season_number,
+        name: season.name || null,
+        episode_count: season.episode_count ?? null,
+        air_date: season.air_date || null
+      }))
+      : null
+  };
+}
+
+// Ligne media → format "media" de l'API
+function formatMediaRow(row) {
+  return {
+    media_type: row.media_type,
+    title: row.title,
+    original_title: row.original_title,
+    year: row.year,
+    poster: row.poster_path ? `https://image.tmdb.org/t/p/w500${row.poster_path}` : null,
+    backdrop: row.backdrop_path ? `https://image.tmdb.org/t/p/w1280${row.backdrop_path}` : null,
+    vote_average: row.vote_average,
+    overview: row.overview,
+    genres: row.genres,
+    number_of_seasons: row.media_type === 'tv' ? row.number_of_seasons : null,
+    seasons: row.media_type === 'tv' ? row.seasons || null : null
+  };
+}
+
+/**
+ * Enregistre des métadonnées TMDB. complete = true pour une fiche détaillée ;
+ * les éléments de liste ne remplacent jamais une fiche détaillée (genres, saisons, TTL).
+ */
+async function upsertMedia(items, language, complete = false) {
+  // Un même titre deux fois (search/multi + known_for...) ferait échouer le ON CONFLICT
+  const rows = Array.from(new Map(items.map(row => [`${row.media_type}:${row.tmdb_id}`, row])).values());
+  if (rows.length === 0) return;
+
+  const listColumns = MEDIA_COLUMNS.filter(name => name !== 'genres' && !MEDIA_DETAIL_COLUMNS.includes(name));
+  const column = (name) => rows.map(row => {
+    if (name === 'genres') return JSON.stringify(row.genres || []);
+    if (name === 'seasons') return row.seasons ? JSON.stringify(row.seasons) : null;
+    return row[name] ?? null;
+  });
+
+  await pool.query(
+    `INSERT INTO media (tmdb_id, media_type, language, ${MEDIA_COLUMNS.join(', ')}, details_complete, fetched_at)
+     SELECT t.tmdb_id, t.media_type, $1::text, t.title, t.original_title, t.year, t.poster_path, t.backdrop_path, t.overview,
+            t.genres::jsonb, t.vote_average, t.number_of_seasons, t.seasons::jsonb, $2::boolean, CURRENT_TIMESTAMP
+     FROM unnest($3::int[], $4::text[], $5::text[], $6::text[], $7::int[], $8::text[], $9::text[], $10::text[], $11::text[], $12::real[], $13::int[], $14::text[])
+       AS t(tmdb_id, media_type, title, original_title, year, poster_path, backdrop_path, overview, genres, vote_average, number_of_seasons, seasons)
+     ON CONFLICT (tmdb_id, media_type, language) DO UPDATE SET
+       ${listColumns.map(name => `${name} = EXCLUDED.${name}`).join(', ')},
+       genres = CASE WHEN EXCLUDED.details_complete OR NOT media.details_complete THEN EXCLUDED.genres ELSE media.genres END,
+       ${MEDIA_DETAIL_COLUMNS.map(name => `${name} = CASE WHEN EXCLUDED.details_complete THEN EXCLUDED.${name} ELSE media.${name} END`).join(',\n       ')},
+       fetched_at = CASE WHEN EXCLUDED.details_complete OR NOT media.details_complete THEN CURRENT_TIMESTAMP ELSE media.fetched_at END,
+       details_complete = media.details_complete OR EXCLUDED.details_complete`,
+    [language.key, complete, column('tmdb_id'), column('media_type'), ...MEDIA_COLUMNS.map(column)]
+  );
+}
+
+// Remplit le cache depuis une liste TMDB (search / discover / trending), sans bloquer la réponse
+function cacheMediaList(items, language) {
+  const rows = items
+    .filter(item => item.media_type === 'movie' || item.media_type === 'tv')
+    .map(item => mediaRowFromTmdb(item, item.media_type));
+  upsertMedia(rows, language).catch(err => console.error('Media cache error:', err.message));
+}
+
+/**
+ * Détails d'un titre : table media si la fiche complète a moins de MEDIA_CACHE_DURATION,
+ * sinon TMDB (puis mise en cache). Si TMDB échoue, une fiche périmée est servie.
+ */
+async function fetchMediaDetails(tmdbId, mediaType, language = getLanguageConfig()) {
+  const cached = await pool.query(
+    'SELECT * FROM media WHERE tmdb_id = $1 AND media_type = $2 AND language = $3 AND details_complete',
+    [tmdbId, mediaType, language.key]
+  );
+  const row = cached.rows[0];
+
+  if (row && Date.now() - new Date(row.fetched_at).getTime() < MEDIA_CACHE_DURATION) {
+    return formatMediaRow(row);
+  }
+
   try {
-    const endpoint = mediaType === 'tv' ? `/tv/${tmdbId}/watch/providers` : `/movie/${tmdbId}/watch/providers`;
-    const response = await tmdbClient.get(endpoint);
-    console.log(`📺 TMDB Watch Providers for ${mediaType} ${tmdbId}: ${Object.keys(response.data.results || {}).length} countries`);
-    return response.data.results || {};
+    const endpoint = mediaType === 'movie' ? `/movie/${tmdbId}` : `/tv/${tmdbId}`;
+    const response = await tmdbClient.get(endpoint, { params: { language: language.tmdb_locale } });
+    const fresh = mediaRowFromTmdb(response.data, mediaType);
+    await upsertMedia([fresh], language, true);
+    return formatMediaRow(fresh);
   } catch (error) {
-    console.error('TMDB Watch Providers error:', error.message);
-    return {};
+    if (row) {
+      console.error(`TMDB details error for ${mediaType} ${tmdbId}, serving stale metadata:`, error.message);
+      return formatMediaRow(row);
+    }
+    throw error;
   }
 }
 
-// Process TMDB Watch Providers into availabilities
-function processTmdbProviders(tmdbId, providersData, mediaType) {
-  const availabilities = [];
-  
-  for (const [countryCode, data] of Object.entries(providersData)) {
-    const country = countryCode.toUpperCase();
-    const countryName = getCountryName(country);
-    const isFrenchSpeaking = FRENCH_SPEAKING_COUNTRIES.includes(country);
-    
-    // Process flatrate (subscription)
-    if (data.flatrate) {
-      for (const provider of data.flatrate) {
-        const platformName = normalizePlatformName(TMDB_PROVIDER_NAMES[provider.provider_id] || provider.provider_name);
-        
-        availabilities.push({
-          tmdb_id: tmdbId,
-          media_type: mediaType,
-          platform: platformName,
-          country_code: country,
-          country_name: countryName,
-          streaming_type: 'subscription',
-          addon_name: null,
-          season_number: null,
-          has_french_audio: isFrenchSpeaking,
-          has_french_subtitles: isFrenchSpeaking,
-          streaming_url: data.link || null,
-          quality: 'hd',
-          source: 'tmdb'
-        });
+// Texte indexé par idx_media_search_trgm (migration 018) : même expression, sinon l'index n'est pas utilisé
+const MEDIA_SEARCH_TEXT = `search_normalize(COALESCE(m.title, '') || ' ' || COALESCE(m.original_title, ''))`;
+
+/**
+ * Recherche dans les métadonnées en cache, sans accents ni casse et tolérante aux fautes
+ * (similarité de mots pg_trgm) : "amelie poulain" trouve "Le Fabuleux Destin d'Amélie Poulain".
+ * Un titre vu dans plusieurs langues est renvoyé une fois, de préférence dans la langue demandée.
+ * Retourne { results (format des listes), total_results }.
+ */
+async function searchLocalMedia(query, language, { type, year, page = 1 } = {}) {
+  const params = [query, language.key];
+  const conditions = [`search_normalize($1) <% ${MEDIA_SEARCH_TEXT}`];
+  if (type) {
+    params.push(type);
+    conditions.push(`m.media_type = $${params.length}`);
+  }
+  if (year) {
+    params.push(year);
+    conditions.push(`m.year = $${params.length}`);
+  }
+  params.push(SEARCH_PAGE_SIZE, (page - 1) * SEARCH_PAGE_SIZE);
+
+  const result = await pool.query(
+    `WITH matches AS (
+       SELECT DISTINCT ON (m.tmdb_id, m.media_type) m.*, word_similarity(search_normalize($1), ${MEDIA_SEARCH_TEXT}) AS score
+       FROM media m
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY m.tmdb_id, m.media_type, (m.language = $2) DESC, m.fetched_at DESC
+     )
+     SELECT *, COUNT(*) OVER() AS total_count
+     FROM matches
+     ORDER BY score DESC, vote_average DESC NULLS LAST
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return {
+    results: result.rows.map(row => ({
+      tmdb_id: row.tmdb_id,
+      media_type: row.media_type,
+      title: row.title,
+      original_title: row.original_title,
+      year: row.year,
+      poster: row.poster_path ? `https://image.tmdb.org/t/p/w342${row.poster_path}` : null,
+      backdrop: row.backdrop_path ? `https://image.tmdb.org/t/p/w780${row.backdrop_path}` : null,
+      vote_average: row.vote_average,
+      overview: row.overview,
+      genre_ids: (row.genres || []).map(genre => genre.id)
+    })),
+    total_results: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+  };
+}
+
+// ============================================
+// AVAILABILITY PROVIDERS (voir src/providers)
+// ============================================
+
+/**
+ * Seul point d'entrée vers l'API payante : chaque appel est décompté
+ * du quota journalier, et refusé (QuotaExceededError) une fois le budget épuisé.
+ */
+async function callStreamingApi(endpoint, params, tmdbId, mediaType) {
+  await consumeQuota(STREAMING_QUOTA, endpoint, tmdbId, mediaType);
+  return streamingClient.get(endpoint, { params });
+}
+
+registerProvider(createStreamingAvailabilityProvider({
+  callApi: callStreamingApi,
+  QuotaExceededError,
+  resolvePlatformName,
+  resolveAddon,
+  getCountryName,
+  outputLanguage: STREAMING_OUTPUT_LANGUAGE,
+  seriesGranularity: STREAMING_SERIES_GRANULARITY
+}));
+
+registerProvider(createUnogsProvider({
+  client: createUnogsClient(),
+  tmdbClient,
+  resolvePlatformName,
+  getCountryName,
+  // Abonnement RapidAPI distinct : son propre compteur (UNOGS_DAILY_LIMIT), sauf en rejeu de fixtures
+  reserveQuota: process.env.UNOGS_FIXTURES === 'replay'
+    ? null
+    : (endpoint, tmdbId, mediaType) => consumeQuota('unogs', endpoint, tmdbId, mediaType),
+  QuotaExceededError
+}));
+
+registerProvider(createTmdbProvider({
+  client: tmdbClient,
+  resolvePlatformName,
+  getCountryName
+}));
+
+// ============================================
+// MERGE AND CACHE AVAILABILITIES
+// ============================================
+
+// Les liens de recherche sont construits avec le titre (fiche TMDB en cache la plupart du temps)
+async function fetchLinkContext(tmdbId, mediaType) {
+  return fetchMediaDetails(tmdbId, mediaType).catch(error => {
+    console.error(`TMDB details error for ${mediaType} ${tmdbId}, links built without title:`, error.message);
+    return {};
+  });
+}
+
+/**
+ * Interroge toutes les sources actives en parallèle et fusionne leurs lignes par priorité.
+ * linkContext : { title, original_title, year } pour les liens construits (fetchLinkContext).
+ * Retourne { availabilities, quotaExceeded, sources } : quotaExceeded si Streaming Availability a été
+ * refusée faute de quota (résultat partiel, à ne pas mettre en cache) ; une source d'appoint
+ * (OPTIONAL_QUOTAS) refusée est seulement absente de sources.
+ */
+async function fetchAndMergeAvailabilities(tmdbId, mediaType = 'movie', linkContext = {}) {
+  let quotaExceeded = false;
+  const skipped = new Set();
+
+  // Les sources tournent en parallèle : chacune ses propres connexions du pool, jamais le client
+  // qui tient le verrou du refresh (une requête qui échoue y annulerait la transaction des autres)
+  const results = await Promise.all(getEnabledProviders().map(async (provider) => {
+    try {
+      const raw = await provider.fetch(tmdbId, mediaType, { db: pool });
+      return { provider, availabilities: provider.normalise(tmdbId, raw, mediaType) };
+    } catch (error) {
+      if (!(error instanceof QuotaExceededError)) throw error;
+      skipped.add(provider.name);
+      if (OPTIONAL_QUOTAS.includes(error.provider)) {
+        console.log(`⚠️ ${provider.name} skipped (quota ${error.provider} exhausted), merging without it`);
+      } else {
+        quotaExceeded = true;
       }
+      return { provider, availabilities: [] };
     }
-    
-    // Process rent
-    if (data.rent) {
-      for (const provider of data.rent) {
-        const platformName = normalizePlatformName(TMDB_PROVIDER_NAMES[provider.provider_id] || provider.provider_name);
-        
-        availabilities.push({
-          tmdb_id: tmdbId,
-          media_type: mediaType,
-          platform: platformName,
-          country_code: country,
-          country_name: countryName,
-          streaming_type: 'rent',
-          addon_name: null,
-          season_number: null,
-          has_french_audio: isFrenchSpeaking,
-          has_french_subtitles: isFrenchSpeaking,
-          streaming_url: data.link || null,
-          quality: 'hd',
-          source: 'tmdb'
-        });
-      }
+  }));
+
+  console.log(`🔗 Merging: ${results.map(({ provider, availabilities }) => `${availabilities.length} from ${provider.name}`).join(' + ')}`);
+
+  const finalAvailabilities = mergeProviderResults(results).map(avail => ({ ...avail, ...resolveLink(avail, linkContext) }));
+  console.log(`✅ Final merged: ${finalAvailabilities.length} availabilities (after deduplication)`);
+
+  return {
+    availabilities: finalAvailabilities,
+    quotaExceeded,
+    sources: results.map(({ provider }) => provider.name).filter(name => !skipped.has(name))
+  };
+}
+
+// Clé d'unicité d'une ligne (même colonnes que la contrainte UNIQUE de la table)
+const AVAILABILITY_KEY_COLUMNS = ['platform', 'country_code', 'streaming_type', 'addon_name', 'quality', 'season_number'];
+
+function availabilityRowKey(avail) {
+  return AVAILABILITY_KEY_COLUMNS
+    .map(name => avail[name] === null || avail[name] === undefined ? '∅' : avail[name])
+    .join('|');
+}
+
+// Colonnes écrites par cacheAvailabilities : [nom, type Postgres de la colonne]
+// unnest aplatit les tableaux à plusieurs dimensions : les colonnes tableau (int[]) passent
+// par un littéral texte ('{1,2,3}') converti dans le SELECT.
+const CACHED_COLUMNS = [
+  ['platform', 'text'],
+  ['country_code', 'text'],
+  ['country_name', 'text'],
+  ['streaming_type', 'text'],
+  ['addon_name', 'text'],
+  ['season_number', 'int'],
+  ['episode_numbers', 'int[]'],
+  ['has_french_audio', 'boolean'],
+  ['has_french_subtitles', 'boolean'],
+  ['languages_known', 'boolean'],
+  ['streaming_url', 'text'],
+  ['link_kind', 'text'],
+  ['quality', 'text'],
+  ['price_amount', 'numeric'],
+  ['price_currency', 'text'],
+  ['price_formatted', 'text'],
+  ['source', 'text'],
+  ['provenance', 'jsonb']
+];
+
+const CACHED_COLUMN_NAMES = CACHED_COLUMNS.map(([name]) => name);
+
+const isArrayColumn = (type) => type.endsWith('[]');
+
+const INSERT_AVAILABILITIES_SQL = `
+  INSERT INTO availabilities (tmdb_id, media_type, ${CACHED_COLUMN_NAMES.join(', ')}, updated_at)
+  SELECT $1::int, $2::text, ${CACHED_COLUMNS.map(([name, type]) => isArrayColumn(type) ? `t.${name}::${type}` : `t.${name}`).join(', ')}, CURRENT_TIMESTAMP
+  FROM unnest(${CACHED_COLUMNS.map(([, type], i) => `$${i + 3}::${isArrayColumn(type) ? 'text' : type}[]`).join(', ')})
+    AS t(${CACHED_COLUMN_NAMES.join(', ')})
+  ON CONFLICT (tmdb_id, media_type, ${AVAILABILITY_KEY_COLUMNS.join(', ')})
+  DO UPDATE SET
+    ${CACHED_COLUMN_NAMES.filter(name => !AVAILABILITY_KEY_COLUMNS.includes(name)).map(name => `${name} = EXCLUDED.${name}`).join(',\n    ')},
+    updated_at = CURRENT_TIMESTAMP
+  RETURNING id, ${AVAILABILITY_KEY_COLUMNS.join(', ')}`;
+
+// ============================================
+// AVAILABILITY HISTORY
+// ============================================
+
+// Ce qui est comparé d'un refresh à l'autre pour une même disponibilité
+function availabilitySnapshot(avail) {
+  const codes = (tracks) => [...new Set((tracks || []).map(track => track.language))].sort();
+  return {
+    streaming_url: avail.streaming_url || null,
+    languages_known: !!avail.languages_known,
+    audio: codes(avail.audio_languages),
+    subtitles: codes(avail.subtitle_languages)
+  };
+}
+
+/**
+ * Événements entre deux snapshots d'un titre :
+ * added / removed, languages_changed (pistes audio ou sous-titres), url_changed.
+ */
+function diffAvailabilities(previousRows, currentRows) {
+  const previous = new Map(previousRows.map(avail => [availabilityRowKey(avail), avail]));
+  const current = new Map(currentRows.map(avail => [availabilityRowKey(avail), avail]));
+  const events = [];
+  const event = (eventType, avail, before, after) => events.push({
+    event_type: eventType,
+    avail,
+    previous: before,
+    current: after
+  });
+
+  for (const [key, avail] of current) {
+    const after = availabilitySnapshot(avail);
+    if (!previous.has(key)) {
+      event('added', avail, null, after);
+      continue;
     }
-    
-    // Process buy
-    if (data.buy) {
-      for (const provider of data.buy) {
-        const platformName = normalizePlatformName(TMDB_PROVIDER_NAMES[provider.provider_id] || provider.provider_name);
-        
-        availabilities.push({
-          tmdb_id: tmdbId,
-          media_type: mediaType,
-          platform: platformName,
-          country_code: country,
-          country_name: countryName,
-          streaming_type: 'buy',
-          addon_name: null,
-          season_number: null,
-          has_french_audio: isFrenchSpeaking,
-          has_french_subtitles: isFrenchSpeaking,
-          streaming_url: data.link || null,
-          quality: 'hd',
-          source: 'tmdb'
-        });
-      }
+
+    const before = availabilitySnapshot(previous.get(key));
+    if (before.languages_known !== after.languages_known ||
+        before.audio.join() !== after.audio.join() ||
+        before.subtitles.join() !== after.subtitles.join()) {
+      event('languages_changed', avail, before, after);
+    }
+    if (before.streaming_url !== after.streaming_url) {
+      event('url_changed', avail, before, after);
     }
   }
-  
-  return availabilities;
+
+  for (const [key, avail] of previous) {
+    if (!current.has(key)) {
+      event('removed', avail, availabilitySnapshot(avail), null);
+    }
+  }
+
+  return events;
 }
 
-// ============================================
-// STREAMING AVAILABILITY API
-// ============================================
-async function fetchStreamingAvailability(tmdbId, mediaType = 'movie', mediaDetails = null) {
+async function insertAvailabilityEvents(client, tmdbId, mediaType, events) {
+  if (events.length === 0) return;
+
+  const column = (name) => events.map(e => e.avail[name] ?? null);
+  await client.query(
+    `INSERT INTO availability_events
+     (tmdb_id, media_type, event_type, platform, country_code, streaming_type, addon_name, quality, season_number, previous, current)
+     SELECT $1::int, $2::text, t.*
+     FROM unnest($3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[], $9::int[], $10::jsonb[], $11::jsonb[])
+       AS t(event_type, platform, country_code, streaming_type, addon_name, quality, season_number, previous, current)`,
+    [tmdbId, mediaType, events.map(e => e.event_type), column('platform'), column('country_code'), column('streaming_type'),
+     column('addon_name'), column('quality'), column('season_number'),
+     events.map(e => e.previous && JSON.stringify(e.previous)), events.map(e => e.current && JSON.stringify(e.current))]
+  );
+}
+
+/**
+ * Remplace le cache d'un titre de façon atomique : DELETE + un seul INSERT multi-lignes
+ * dans la même transaction. Un lecteur concurrent voit l'ancien ou le nouveau snapshot,
+ * jamais un cache vide ou partiel. En cas d'erreur, rien n'est modifié et l'erreur remonte.
+ */
+async function cacheAvailabilities(tmdbId, availabilities, mediaType, existingClient = null) {
+  // Une même clé deux fois dans le INSERT ferait échouer le ON CONFLICT
+  const rows = Array.from(new Map(availabilities.map(avail => [availabilityRowKey(avail), avail])).values());
+  const column = ([name, type]) => rows.map(avail => {
+    if (avail[name] === undefined || avail[name] === null) return null;
+    if (isArrayColumn(type)) return `{${avail[name].join(',')}}`;
+    return type === 'jsonb' ? JSON.stringify(avail[name]) : avail[name];
+  });
+
+  const client = existingClient || await pool.connect();
+  let events = [];
   try {
-    const showType = mediaType === 'tv' ? 'tv' : 'movie';
-    const endpoint = `/shows/${showType}/${tmdbId}`;
-    
-    console.log(`📡 Fetching ${mediaType} data: ${endpoint}`);
-    
-    // 🆕 INCRÉMENTER LE COMPTEUR ICI (requête API réelle)
-    checkAndResetCounter();
-    apiRequestCount++;
-    console.log(`📊 Requête API #${apiRequestCount}/100 - ${mediaType} ${tmdbId}`);
-    
-    const response = await streamingClient.get(endpoint, {
-      params: {
-        series_granularity: mediaType === 'tv' ? 'show' : undefined,
-        output_language: 'fr'
+    await client.query('BEGIN');
+
+    // Snapshot précédent pour l'historique. Le tout premier refresh d'un titre sert de
+    // référence : il ne génère pas d'événements "added" pour tout le catalogue existant.
+    const previous = await client.query(
+      `${AVAILABILITY_WITH_LANGUAGES_SQL}
+       WHERE a.tmdb_id = $1 AND a.media_type = $2
+       GROUP BY a.id`,
+      [tmdbId, mediaType]
+    );
+    const knownTitle = previous.rows.length > 0 || (await client.query(
+      'SELECT 1 FROM availability_refreshes WHERE tmdb_id = $1 AND media_type = $2',
+      [tmdbId, mediaType]
+    )).rows.length > 0;
+
+    // Les langues suivent via ON DELETE CASCADE
+    await client.query('DELETE FROM availabilities WHERE tmdb_id = $1 AND media_type = $2', [tmdbId, mediaType]);
+
+    if (rows.length > 0) {
+      const inserted = await client.query(
+        INSERT_AVAILABILITIES_SQL,
+        [tmdbId, mediaType, ...CACHED_COLUMNS.map(column)]
+      );
+
+      const idsByKey = new Map(inserted.rows.map(row => [availabilityRowKey(row), row.id]));
+      const tracks = rows.flatMap(avail => {
+        const availabilityId = idsByKey.get(availabilityRowKey(avail));
+        return [
+          ...(avail.audio_languages || []).map(track => ({ availabilityId, kind: 'audio', ...track })),
+          ...(avail.subtitle_languages || []).map(track => ({ availabilityId, kind: 'subtitle', ...track }))
+        ];
+      });
+
+      if (tracks.length > 0) {
+        await client.query(
+          `INSERT INTO availability_languages (availability_id, kind, language, region, closed_captions)
+           SELECT * FROM unnest($1::int[], $2::text[], $3::text[], $4::text[], $5::boolean[])`,
+          [tracks.map(t => t.availabilityId), tracks.map(t => t.kind), tracks.map(t => t.language),
+           tracks.map(t => t.region || null), tracks.map(t => !!t.closed_captions)]
+        );
       }
-    });
+    }
 
-    const countriesCount = response.data.streamingOptions ? Object.keys(response.data.streamingOptions).length : 0;
-    console.log(`✅ Successfully fetched data for ${mediaType} ${tmdbId} (${countriesCount} countries)`);
-    
-    return response.data;
+    await client.query(
+      `INSERT INTO availability_refreshes (tmdb_id, media_type, availability_count, refreshed_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+       ON CONFLICT (tmdb_id, media_type)
+       DO UPDATE SET availability_count = $3, refreshed_at = CURRENT_TIMESTAMP`,
+      [tmdbId, mediaType, rows.length]
+    );
+
+    if (knownTitle) {
+      events = diffAvailabilities(previous.rows.map(withLanguageTracks), rows);
+      await insertAvailabilityEvents(client, tmdbId, mediaType, events);
+      await enqueueWebhookDeliveries(client, tmdbId, mediaType, events);
+    }
+
+    await client.query('COMMIT');
   } catch (error) {
-    if (error.response?.status === 404) {
-      console.log(`❌ 404 Not Found for ${mediaType} ID ${tmdbId}`);
-      return null;
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`❌ Cache write failed for TMDB ID ${tmdbId}, previous snapshot kept:`, error.message);
+    throw error;
+  } finally {
+    if (!existingClient) client.release();
+  }
+  
+  console.log(`✅ Cached ${rows.length} availabilities for TMDB ID ${tmdbId} (${events.length} changes)`);
+  return events;
+}
+
+// Client du pool qui tient le verrou advisory du titre, ou null s'il est pris (client rendu aussitôt)
+async function tryRefreshLock(lockKey) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [lockKey]);
+    if (result.rows[0].locked) return client;
+  } catch (error) {
+    client.release();
+    throw error;
+  }
+  client.release();
+  return null;
+}
+
+const isNewerRefresh = (refreshedAt, knownRefreshedAt) =>
+  !!refreshedAt && (!knownRefreshedAt || new Date(refreshedAt) > new Date(knownRefreshedAt));
+
+/**
+ * Fetch + cache d'un titre, sérialisé par un verrou advisory (partagé entre instances).
+ * knownRefreshedAt est la date de refresh vue par l'appelant avant de décider de rafraîchir :
+ * si elle a changé une fois le verrou obtenu, une autre requête vient de faire le travail
+ * et on ne repaie pas l'API. Retourne { availabilities, quotaExceeded, sources, reused, events }.
+ * Pendant qu'une autre requête rafraîchit le titre, l'attente se fait sans garder de client du pool
+ * (pg_try_advisory_lock toutes les REFRESH_LOCK_POLL_INTERVAL ms) ; au-delà de REFRESH_LOCK_WAIT,
+ * reused = true : l'appelant sert le cache tel quel.
+ */
+async function refreshAvailabilities(tmdbId, mediaType, knownRefreshedAt = null) {
+  const lockKey = `availabilities:${mediaType}:${tmdbId}`;
+  const reused = { availabilities: null, quotaExceeded: false, sources: ['cache'], reused: true, events: [] };
+
+  // Appel TMDB éventuel fait avant le verrou, pas pendant
+  const linkContext = await fetchLinkContext(tmdbId, mediaType);
+
+  const deadline = Date.now() + REFRESH_LOCK_WAIT;
+  let client;
+  while (!(client = await tryRefreshLock(lockKey))) {
+    if (isNewerRefresh(await getCacheRefreshedAt(tmdbId, mediaType), knownRefreshedAt)) {
+      console.log(`🔒 ${mediaType} ${tmdbId} refreshed by a concurrent request, reusing cache`);
+      return reused;
+    }
+    if (Date.now() >= deadline) {
+      console.log(`⏳ ${mediaType} ${tmdbId} still being refreshed by another request, serving cache`);
+      return reused;
+    }
+    await new Promise(resolve => setTimeout(resolve, REFRESH_LOCK_POLL_INTERVAL));
+  }
+
+  try {
+    const refreshedAt = await getCacheRefreshedAt(tmdbId, mediaType, client);
+    if (isNewerRefresh(refreshedAt, knownRefreshedAt)) {
+      console.log(`🔒 ${mediaType} ${tmdbId} refreshed by a concurrent request, reusing cache`);
+      return reused;
+    }
+
+    const { availabilities, quotaExceeded, sources } = await fetchAndMergeAvailabilities(tmdbId, mediaType, linkContext);
+
+    // TMDB-only results would hide the audio/subtitle data, don't cache them
+    let events = [];
+    if (!quotaExceeded) {
+      // Même connexion que le verrou : pas besoin d'un second client du pool
+      events = await cacheAvailabilities(tmdbId, availabilities, mediaType, client);
+
+      // Notifications envoyées hors du verrou, sans retarder la réponse
+      setImmediate(() => {
+        evaluateAlertRules(tmdbId, mediaType, availabilities)
+          .catch(err => console.error(`Alert evaluation error for ${mediaType} ${tmdbId}:`, err.message));
+        if (events.length > 0) processWebhookDeliveries(pool);
+      });
     }
-    console.error(`❌ Streaming API error:`, error.response?.data || error.message);
-    return null;
+
+    return { availabilities, quotaExceeded, sources, reused: false, events };
+  } finally {
+    await client.query('SELECT pg_advisory_unlock(hashtext($1))', [lockKey]).catch(() => {});
+    client.release();
   }
 }
 
-// Process Streaming Availability data
-function processStreamingData(tmdbId, streamingData, mediaType) {
-  if (!streamingData || !streamingData.streamingOptions) {
-    return [];
-  }
-
-  const availabilities = [];
-  const streamingOptions = streamingData.streamingOptions;
-
-  for (const [countryCode, options] of Object.entries(streamingOptions)) {
-    const country = countryCode.toUpperCase();
-    const countryName = getCountryName(country);
-    const isFrenchSpeaking = FRENCH_SPEAKING_COUNTRIES.includes(country);
-
-    for (const option of options) {
-      if (!option || !option.service) continue;
-
-      const platformKey = option.service.id;
-      let platformName = normalizePlatformName(PLATFORMS[platformKey] || option.service.name || platformKey);
-      
-      const streamingType = option.type || 'subscription';
-      const addonName = streamingType === 'addon' && option.addon?.name ? option.addon.name : null;
-      
-      // FILTER: Skip Prime addons except important ones
-      if (platformKey === 'prime' && streamingType === 'addon') {
-        const allowedPrimeAddons = ['Starz', 'MGM+', 'MGM Plus', 'MGM', 'STARZ', 'Canal+', 'Canal', 'Paramount', 'Crave', 'OCS', 'Pass Warner', 'Lionsgate'];
-        if (!addonName || !allowedPrimeAddons.some(allowed => addonName.toLowerCase().includes(allowed.toLowerCase()))) {
-          continue;
-        }
-        // Use addon name as platform for these
-        if (addonName.toLowerCase().includes('canal')) platformName = 'Canal+';
-        else if (addonName.toLowerCase().includes('paramount')) platformName = 'Paramount+';
-        else if (addonName.toLowerCase().includes('starz')) platformName = 'Starz';
-        else if (addonName.toLowerCase().includes('mgm')) platformName = 'MGM+';
-        else if (addonName.toLowerCase().includes('crave')) platformName = 'Crave';
-        else if (addonName.toLowerCase().includes('ocs')) platformName = 'OCS';
-        else if (addonName.toLowerCase().includes('lionsgate')) platformName = 'Lionsgate+';
-      }
-      
-      // Apple TV addons
-      if (platformKey === 'apple' && streamingType === 'addon') {
-        if (addonName) {
-          if (addonName.toLowerCase().includes('canal')) platformName = 'Canal+';
-          else if (addonName.toLowerCase().includes('paramount')) platformName = 'Paramount+';
-          else if (addonName.toLowerCase().includes('starz')) platformName = 'Starz';
-          else if (addonName.toLowerCase().includes('mgm')) platformName = 'MGM+';
-          else if (addonName.toLowerCase().includes('ocs')) platformName = 'OCS';
-          else continue; // Skip other Apple addons
-        }
-      }
+// SELECT des disponibilités avec leurs pistes (à compléter par WHERE ... GROUP BY a.id)
+const AVAILABILITY_WITH_LANGUAGES_SQL = `
+  SELECT a.*,
+    COALESCE(
+      json_agg(json_build_object('kind', l.kind, 'language', l.language, 'region', l.region, 'closed_captions', l.closed_captions)
+               ORDER BY l.kind, l.language) FILTER (WHERE l.id IS NOT NULL),
+      '[]'
+    ) AS languages
+  FROM availabilities a
+  LEFT JOIN availability_languages l ON l.availability_id = a.id`;
+
+function withLanguageTracks({ languages, ...row }) {
+  return {
+    ...row,
+    audio_languages: languages.filter(l => l.kind === 'audio').map(({ kind, ...track }) => track),
+    subtitle_languages: languages.filter(l => l.kind === 'subtitle').map(({ kind, ...track }) => track)
+  };
+}
 
-      // Check for French audio and subtitles
-      const hasFrenchAudio = option.audios?.some(a => {
-        const lang = a.language?.toLowerCase();
-        return lang === 'fra' || lang === 'fr' || lang === 'fre';
-      }) || false;
-
-      const hasFrenchSubtitles = option.subtitles?.some(s => {
-        if (!s) return false;
-        const lang = s.language ? String(s.language).toLowerCase() : '';
-        const localeLanguage = s.locale?.language ? String(s.locale.language).toLowerCase() : '';
-        return lang === 'fra' || lang === 'fr' || lang === 'fre' || 
-               localeLanguage === 'fra' || localeLanguage === 'fr' || localeLanguage === 'fre';
-      }) || false;
-
-      // For French-speaking countries, assume French is available
-      const effectiveFrenchAudio = hasFrenchAudio || isFrenchSpeaking;
-      const effectiveFrenchSubtitles = hasFrenchSubtitles || isFrenchSpeaking;
-
-      // FILTER: Skip if no French content (except for French-speaking countries)
-      if (!effectiveFrenchAudio && !effectiveFrenchSubtitles) {
-        continue;
-      }
+async function loadCachedAvailabilities(tmdbId, mediaType) {
+  const result = await pool.query(
+    `${AVAILABILITY_WITH_LANGUAGES_SQL}
+     WHERE a.tmdb_id = $1 AND a.media_type = $2
+     GROUP BY a.id`,
+    [tmdbId, mediaType]
+  );
+  return result.rows.map(withLanguageTracks);
+}
 
-      const seasons = mediaType === 'tv' && option.seasons && Array.isArray(option.seasons) 
-        ? option.seasons 
-        : [null];
-
-      for (const seasonNumber of seasons) {
-        availabilities.push({
-          tmdb_id: tmdbId,
-          media_type: mediaType,
-          platform: platformName,
-          country_code: country,
-          country_name: countryName,
-          streaming_type: streamingType,
-          addon_name: addonName,
-          season_number: seasonNumber,
-          has_french_audio: effectiveFrenchAudio,
-          has_french_subtitles: effectiveFrenchSubtitles,
-          streaming_url: option.link || null,
-          quality: option.quality || 'hd',
-          source: 'streaming-availability'
-        });
-      }
+/**
+ * Date du dernier refresh d'un titre (null si jamais mis en cache).
+ * Les lignes antérieures à availability_refreshes n'ont que leur updated_at.
+ */
+async function getCacheRefreshedAt(tmdbId, mediaType, db = pool) {
+  const result = await db.query(
+    `SELECT GREATEST(
+       (SELECT refreshed_at FROM availability_refreshes WHERE tmdb_id = $1 AND media_type = $2),
+       (SELECT MAX(updated_at) FROM availabilities WHERE tmdb_id = $1 AND media_type = $2)
+     ) AS refreshed_at`,
+    [tmdbId, mediaType]
+  );
+  return result.rows[0].refreshed_at;
+}
+
+/**
+ * Middleware : date du cache du titre de la route dans req.cacheRefreshedAt (null si jamais mis
+ * en cache), pour paidRefreshRateLimit. mediaType fixe le type quand la route n'a pas de :type.
+ * Les ids invalides sont laissés à la route (400).
+ */
+function loadCacheRefreshedAt(mediaType = null) {
+  return async (req, res, next) => {
+    const tmdbId = parseTmdbId(req.params.id);
+    const type = mediaType || req.params.type;
+    if (!tmdbId || (type !== 'movie' && type !== 'tv')) return next();
+
+    try {
+      req.cacheRefreshedAt = await getCacheRefreshedAt(tmdbId, type);
+    } catch (error) {
+      // Sans la date, la requête est comptée comme un refresh payant
+      console.error('Cache refreshed_at lookup error:', error.message);
+    }
+    next();
+  };
+}
+
+/**
+ * Format API d'une disponibilité (fraîche ou lue du cache) pour la langue demandée :
+ * audio / subtitles valent confirmed | inferred | absent pour cette langue,
+ * french_audio / french_subtitles restent toujours calculés pour le français.
+ */
+function formatAvailability(avail, language = getLanguageConfig()) {
+  const tracks = (kind, lang) => getLanguageConfidence(
+    avail[`${kind}_languages`] || [],
+    lang.code,
+    avail.languages_known,
+    lang.speaking_countries.includes(avail.country_code)
+  );
+
+  const priceAmount = avail.price_amount === null || avail.price_amount === undefined ? null : parseFloat(avail.price_amount);
+
+  return {
+    ...avail,
+    price_amount: priceAmount,
+    price_eur: convertToEur(priceAmount, avail.price_currency),
+    // Lignes en cache d'avant link_kind : classées à la lecture
+    link_kind: avail.link_kind || classifyLink(avail.streaming_url, avail.platform),
+    country_name: language.key === 'fr'
+      ? avail.country_name
+      : getLocalizedCountryName(avail.country_code, language.key) || avail.country_name,
+    language: language.key,
+    audio: tracks('audio', language),
+    subtitles: tracks('subtitle', language),
+    french_audio: tracks('audio', LANGUAGES.fr),
+    french_subtitles: tracks('subtitle', LANGUAGES.fr)
+  };
+}
+
+// Disponibilité utile pour une langue (ligne formatée) : celles dont on ne connaît pas les pistes
+// sont gardées, celles dont les pistes excluent la langue sont écartées.
+function isUsableForLanguage(formatted) {
+  return formatted.audio !== 'absent' || formatted.subtitles !== 'absent' || !formatted.languages_known;
+}
+
+function formatAvailabilitiesForLanguage(availabilities, language) {
+  const formatted = availabilities
+    .map(avail => formatAvailability(avail, language))
+    .filter(isUsableForLanguage);
+  return sortByPriorityCountries(formatted, language.priority_countries, language.key);
+}
+
+const AVAILABILITY_SORTS = ['country', 'price'];
+
+/**
+ * Filtres et tri de /api/media/:type/:id/availability, appliqués aux lignes formatées :
+ * streaming_type, platform, country (liste, "priority" = pays prioritaires de la langue),
+ * audio=confirmed|inferred (langue demandée), max_price (EUR, exclut les lignes sans prix),
+ * sort=country (défaut) | price (prix en EUR croissant, sans prix en dernier).
+ * Retourne { error } ou { apply(availabilities) }.
+ */
+function parseAvailabilityQuery(query, language) {
+  const sort = query.sort || 'country';
+  if (!AVAILABILITY_SORTS.includes(sort)) {
+    return { error: `Invalid sort. Available: ${AVAILABILITY_SORTS.join(', ')}` };
+  }
+  if (query.audio && query.audio !== 'confirmed' && query.audio !== 'inferred') {
+    return { error: 'audio must be "confirmed" or "inferred"' };
+  }
+  const maxPrice = query.max_price !== undefined ? parseFloat(query.max_price) : null;
+  if (Number.isNaN(maxPrice)) {
+    return { error: 'max_price must be a number (EUR)' };
+  }
+
+  const streamingTypes = parseListParam(query.streaming_type);
+  const platforms = parsePlatformParam(query.platform);
+  const countries = parseListParam(query.country)
+    .flatMap(country => country.toLowerCase() === 'priority' ? language.priority_countries : [country.toUpperCase()]);
+  const audioLevels = query.audio === 'confirmed' ? ['confirmed'] : query.audio === 'inferred' ? ['confirmed', 'inferred'] : null;
+
+  return {
+    apply(availabilities) {
+      const filtered = availabilities
+        .filter(avail => streamingTypes.length === 0 || streamingTypes.includes(avail.streaming_type))
+        .filter(avail => platforms.length === 0 || platforms.includes(avail.platform.toLowerCase()))
+        .filter(avail => countries.length === 0 || countries.includes(avail.country_code))
+        .filter(avail => !audioLevels || audioLevels.includes(avail.audio))
+        .filter(avail => maxPrice === null || (avail.price_eur !== null && avail.price_eur <= maxPrice));
+
+      if (sort !== 'price') return filtered;
+      // sort est stable : à prix égal, l'ordre des pays prioritaires est gardé
+      return filtered.sort((a, b) =>
+        (a.price_eur === null) - (b.price_eur === null) || (a.price_eur || 0) - (b.price_eur || 0));
     }
+  };
+}
+
+// Langue demandée via ?lang= (langue par défaut si absent)
+function getRequestLanguage(req, res) {
+  const language = getLanguageConfig(req.query.lang);
+  if (!language) {
+    res.status(400).json({ error: `Unsupported language. Available: ${Object.keys(LANGUAGES).join(', ')}` });
   }
+  return language;
+}
 
-  return availabilities;
+// Identifiant TMDB d'un paramètre d'URL : entier positif, sinon null (400 côté route)
+function parseTmdbId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
 }
 
 // ============================================
-// MERGE AND CACHE AVAILABILITIES
+// BACKGROUND REFRESH QUEUE
 // ============================================
 
 /**
- * Déduplique les plateformes (garde la meilleure entrée)
+ * Ajoute un titre à la file de refresh (une seule entrée par titre).
+ * Chaque nouvelle consultation augmente sa priorité ; un job abandonné (failed)
+ * repart de zéro, sinon le titre ne serait plus jamais rafraîchi en arrière-plan.
  */
-function deduplicatePlatforms(availabilities) {
-  const seen = new Map();
-  
-  for (const avail of availabilities) {
-    // Clé unique : pays + plateforme + type + saison
-    const key = `${avail.country_code}-${avail.platform}-${avail.streaming_type}-${avail.season_number || 'null'}`;
-    
-    if (!seen.has(key)) {
-      seen.set(key, avail);
-    } else {
-      // Garde celui avec le meilleur lien
-      const existing = seen.get(key);
-      if (!existing.streaming_url && avail.streaming_url) {
-        seen.set(key, avail);
-      }
-    }
+async function enqueueRefresh(tmdbId, mediaType) {
+  await pool.query(
+    `INSERT INTO refresh_queue (tmdb_id, media_type)
+     VALUES ($1, $2)
+     ON CONFLICT (tmdb_id, media_type)
+     DO UPDATE SET views = refresh_queue.views + 1, updated_at = CURRENT_TIMESTAMP,
+       status = CASE WHEN refresh_queue.status = 'failed' THEN 'pending' ELSE refresh_queue.status END,
+       attempts = CASE WHEN refresh_queue.status = 'failed' THEN 0 ELSE refresh_queue.attempts END,
+       next_attempt_at = CASE WHEN refresh_queue.status = 'failed' THEN CURRENT_TIMESTAMP ELSE refresh_queue.next_attempt_at END`,
+    [tmdbId, mediaType]
+  );
+}
+
+// Prend le job le plus consulté ; SKIP LOCKED permet plusieurs instances en parallèle.
+// Un job resté "processing" plus de 10 minutes (instance tuée) est repris.
+async function claimRefreshJob() {
+  const result = await pool.query(
+    `UPDATE refresh_queue
+     SET status = 'processing', locked_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+     WHERE id = (
+       SELECT id FROM refresh_queue
+       WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+          OR (status = 'processing' AND locked_at < CURRENT_TIMESTAMP - INTERVAL '10 minutes')
+       ORDER BY views DESC, created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`
+  );
+  return result.rows[0] || null;
+}
+
+async function releaseRefreshJob(job, error = null) {
+  if (!error) {
+    // Quota épuisé : on remet le job tel quel, sans compter la tentative
+    await pool.query(
+      `UPDATE refresh_queue SET status = 'pending', attempts = attempts - 1, locked_at = NULL WHERE id = $1`,
+      [job.id]
+    );
+    return;
   }
-  
-  return Array.from(seen.values());
+
+  const status = job.attempts >= REFRESH_QUEUE_MAX_ATTEMPTS ? 'failed' : 'pending';
+  await pool.query(
+    `UPDATE refresh_queue
+     SET status = $2, last_error = $3, locked_at = NULL,
+         next_attempt_at = CURRENT_TIMESTAMP + ($4 * INTERVAL '1 minute')
+     WHERE id = $1`,
+    [job.id, status, error.message, Math.pow(2, job.attempts)]
+  );
 }
 
-async function fetchAndMergeAvailabilities(tmdbId, mediaType = 'movie') {
-  // Fetch from both sources in parallel
-  const [streamingData, tmdbProviders] = await Promise.all([
-    fetchStreamingAvailability(tmdbId, mediaType),
-    fetchTmdbWatchProviders(tmdbId, mediaType)
-  ]);
-  
-  // Process both sources
-  const streamingAvailabilities = processStreamingData(tmdbId, streamingData, mediaType);
-  const tmdbAvailabilities = processTmdbProviders(tmdbId, tmdbProviders, mediaType);
-  
-  console.log(`🔗 Merging: ${streamingAvailabilities.length} from Streaming API + ${tmdbAvailabilities.length} from TMDB`);
-  
-  // Merge: Use streaming availability as base, add missing from TMDB
-  const merged = new Map();
-  
-  // Add streaming availability first (higher priority - has better links and language info)
-  for (const avail of streamingAvailabilities) {
-    const key = `${avail.country_code}-${avail.platform}-${avail.streaming_type}-${avail.season_number || 'null'}`;
-    merged.set(key, avail);
+/**
+ * Un refresh consomme `cost` requêtes sur le quota de chaque source payante active.
+ * Retourne le statut de quota de la première source qui ne peut plus le payer
+ * en gardant `reserve` requêtes de côté, ou null si le refresh est finançable.
+ * Les sources d'appoint (OPTIONAL_QUOTAS) ne bloquent pas : le refresh se fait sans elles.
+ */
+async function findUnaffordableQuota(reserve = 0) {
+  for (const provider of getEnabledProviders()) {
+    if (!provider.cost || !QUOTA_LIMITS[provider.name] || OPTIONAL_QUOTAS.includes(provider.name)) continue;
+
+    const quota = await getQuotaStatus(provider.name);
+    if (quota.remaining - reserve < provider.cost) return quota;
+  }
+  return null;
+}
+
+let refreshQueueRunning = false;
+
+async function processRefreshQueue() {
+  if (refreshQueueRunning) return;
+  refreshQueueRunning = true;
+
+  try {
+    for (let i = 0; i < REFRESH_QUEUE_BATCH_SIZE; i++) {
+      // La réserve reste disponible pour les refresh demandés en direct
+      const quota = await findUnaffordableQuota(REFRESH_QUEUE_QUOTA_RESERVE);
+      if (quota) {
+        console.log(`⏸️ Refresh queue en pause - quota ${quota.provider} restant ${quota.remaining}/${quota.limit}`);
+        break;
+      }
+
+      const job = await claimRefreshJob();
+      if (!job) break;
+
+      try {
+        // Déjà rafraîchi entre-temps (refresh forcé, autre instance...)
+        const refreshedAt = await getCacheRefreshedAt(job.tmdb_id, job.media_type);
+        if (refreshedAt && Date.now() - new Date(refreshedAt).getTime() < CACHE_DURATION) {
+          await pool.query('DELETE FROM refresh_queue WHERE id = $1', [job.id]);
+          continue;
+        }
+
+        const { quotaExceeded } = await refreshAvailabilities(job.tmdb_id, job.media_type, refreshedAt);
+        if (quotaExceeded) {
+          await releaseRefreshJob(job);
+          break;
+        }
+
+        await pool.query('DELETE FROM refresh_queue WHERE id = $1', [job.id]);
+        console.log(`🔄 Background refresh done: ${job.media_type} ${job.tmdb_id} (${job.views} views)`);
+      } catch (error) {
+        console.error(`❌ Background refresh error for ${job.media_type} ${job.tmdb_id}:`, error.message);
+        await releaseRefreshJob(job, error);
+      }
+    }
+  } catch (error) {
+    console.error('Refresh queue error:', error.message);
+  } finally {
+    refreshQueueRunning = false;
+  }
+}
+
+
+// ============================================
+// ROUTES
+// ============================================
+
+const SEARCH_TYPES = ['all', 'movie', 'tv', 'person'];
+
+// Personne trouvée par TMDB → format de recherche (known_for : ses titres connus, au format des listes)
+function formatTmdbPerson(item) {
+  return {
+    media_type: 'person',
+    tmdb_id: item.id,
+    name: item.name,
+    known_for_department: item.known_for_department || null,
+    profile: item.profile_path ? `https://image.tmdb.org/t/p/w342${item.profile_path}` : null,
+    known_for: (item.known_for || [])
+      .filter(title => title.media_type === 'movie' || title.media_type === 'tv')
+      .map(title => formatTmdbListItem(title, title.media_type))
+  };
+}
+
+// Ex. /api/search?query=amelie%20poulain&lang=fr
+//     /api/search?query=nolan&type=person&available_in=BE&vf=true
+//     /api/search?query=dune&type=movie&year=2021&page=2
+// TMDB d'abord (court délai) ; s'il échoue, expire ou ne trouve rien, recherche locale dans les titres déjà vus.
+app.get('/api/search', cheapRateLimit, async (req, res) => {
+  try {
+    const { query, type = 'all' } = req.query;
+    // ?query=a&query=b arrive en tableau
+    if (query !== undefined && typeof query !== 'string') {
+      return res.status(400).json({ error: 'Invalid query. Must be a single string' });
+    }
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    if (!query || query.trim().length < 2) {
+      return res.json({ results: [], page, total_pages: 0, total_results: 0, filtered: false, source: null, unchecked: 0 });
+    }
+    if (!SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid type. Available: ${SEARCH_TYPES.join(', ')}` });
+    }
+    const year = req.query.year !== undefined ? parseInt(req.query.year) : null;
+    if (year !== null && !(year > 0)) {
+      return res.status(400).json({ error: 'year must be a number, e.g. 2001' });
+    }
+    const filters = parseDiscoverFilters(req.query, language);
+    if (filters && filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const params = { query, page, language: language.tmdb_locale };
+    if (year && type === 'movie') params.primary_release_year = year;
+    if (year && type === 'tv') params.first_air_date_year = year;
+
+    let items = null;
+    let totalPages = 0;
+    let totalResults = 0;
+    try {
+      const searchResponse = await tmdbClient.get(`/search/${type === 'all' ? 'multi' : type}`, {
+        params,
+        timeout: SEARCH_TMDB_TIMEOUT
+      });
+      // /search/movie, /search/tv et /search/person ne renvoient pas media_type
+      items = searchResponse.data.results
+        .map(item => ({ ...item, media_type: item.media_type || type }))
+        .filter(item => ['movie', 'tv', 'person'].includes(item.media_type));
+      totalPages = Math.min(searchResponse.data.total_pages, 500);
+      totalResults = searchResponse.data.total_results;
+    } catch (error) {
+      console.error(`⚠️ TMDB search failed (${error.code || error.response?.status || error.message}), falling back to local search`);
+    }
+
+    let source = 'tmdb';
+    let results;
+    if (items && (totalResults > 0 || type === 'person')) {
+      cacheMediaList([...items, ...items.flatMap(item => item.known_for || [])], language);
+      results = items.map(item => item.media_type === 'person'
+        ? formatTmdbPerson(item)
+        : formatTmdbListItem(item, item.media_type));
+    } else if (type !== 'person') {
+      const local = await searchLocalMedia(query.trim(), language, { type: type === 'all' ? null : type, year, page });
+      source = 'local';
+      results = local.results;
+      totalResults = local.total_results;
+      totalPages = Math.ceil(local.total_results / SEARCH_PAGE_SIZE);
+    } else {
+      return res.status(502).json({ error: 'People search is unavailable (TMDB unreachable)' });
+    }
+
+    // /search/multi n'a pas de filtre d'année : appliqué ici (aux personnes, via leurs titres connus)
+    const yearFilteredHere = !!year && source === 'tmdb' && (type === 'all' || type === 'person');
+    if (year) {
+      results = results
+        .map(result => result.media_type === 'person'
+          ? { ...result, known_for: result.known_for.filter(title => title.year === year) }
+          : result)
+        .filter(result => result.media_type === 'person' ? result.known_for.length > 0 : result.year === year);
+    }
+
+    // Disponibilités des titres et des titres connus des personnes : une seule requête sur le cache
+    const titles = new Map();
+    for (const result of results) {
+      for (const title of result.media_type === 'person' ? result.known_for : [result]) {
+        titles.set(`${title.media_type}:${title.tmdb_id}`, title);
+      }
+    }
+    const annotated = await annotateWithAvailability(Array.from(titles.values()), filters, language,
+      { backfillMax: AVAILABILITY_BACKFILL_MAX });
+    const byKey = new Map(annotated.results.map(title => [`${title.media_type}:${title.tmdb_id}`, {
+      ...title,
+      availability_count: title.availability.countries_count
+    }]));
+    const withAvailability = (title) => byKey.get(`${title.media_type}:${title.tmdb_id}`);
+
+    res.json({
+      results: results
+        .map(result => result.media_type === 'person'
+          ? { ...result, known_for: result.known_for.map(withAvailability).filter(Boolean) }
+          : withAvailability(result))
+        .filter(result => result && (result.media_type !== 'person' || !filters || result.known_for.length > 0)),
+      page,
+      total_pages: totalPages,
+      total_results: totalResults,
+      // Année (/search/multi) ou disponibilité filtrées après la pagination : totaux d'avant ces filtres
+      filtered: yearFilteredHere || !!filters,
+      source,
+      unchecked: annotated.unchecked
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Get list of genres
+app.get('/api/genres', async (req, res) => {
+  try {
+    const { type = 'movie' } = req.query;
+    const endpoint = type === 'tv' ? '/genre/tv/list' : '/genre/movie/list';
+    const response = await tmdbClient.get(endpoint);
+    res.json({ genres: response.data.genres });
+  } catch (error) {
+    console.error('Genres error:', error);
+    res.status(500).json({ error: 'Failed to fetch genres' });
+  }
+});
+
+// Élément de liste TMDB (discover, trending, filmographie, collection...) → format des listes de l'API
+function formatTmdbListItem(item, mediaType) {
+  const isMovie = mediaType === 'movie';
+  return {
+    tmdb_id: item.id,
+    media_type: mediaType,
+    title: isMovie ? item.title : item.name,
+    original_title: isMovie ? item.original_title : item.original_name,
+    year: isMovie 
+      ? (item.release_date ? new Date(item.release_date).getFullYear() : null)
+      : (item.first_air_date ? new Date(item.first_air_date).getFullYear() : null),
+    poster: item.poster_path ? `https://image.tmdb.org/t/p/w342${item.poster_path}` : null,
+    backdrop: item.backdrop_path ? `https://image.tmdb.org/t/p/w780${item.backdrop_path}` : null,
+    vote_average: item.vote_average,
+    overview: item.overview,
+    genre_ids: item.genre_ids
+  };
+}
+
+// Discover movies and TV series
+app.get('/api/discover', cheapRateLimit, async (req, res) => {
+  try {
+    const { 
+      type = 'movie',
+      genre,
+      with_genres,
+      year,
+      primary_release_year,
+      first_air_date_year,
+      sort = 'popularity',
+      sort_by,
+      page = 1 
+    } = req.query;
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const filters = parseDiscoverFilters(req.query, language);
+    if (filters && filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const mediaType = type === 'tv' ? 'tv' : 'movie';
+    const endpoint = `/discover/${mediaType}`;
+
+    const params = {
+      page: parseInt(page),
+      'vote_count.gte': 100,
+      language: language.tmdb_locale
+    };
+
+    // Handle genre parameter
+    const genreFilter = genre || with_genres;
+    if (genreFilter) {
+      params.with_genres = genreFilter;
+    }
+
+    // Handle year parameter
+    const yearFilter = year || primary_release_year || first_air_date_year;
+    if (yearFilter) {
+      if (mediaType === 'movie') {
+        params.primary_release_year = yearFilter;
+      } else {
+        params.first_air_date_year = yearFilter;
+      }
+    }
+
+    // Handle sort parameter
+    const sortValue = (sort || sort_by || 'popularity').split('.')[0];
+    const sortMap = {
+      'popularity': 'popularity.desc',
+      'vote_average': 'vote_average.desc',
+      'release_date': mediaType === 'movie' ? 'primary_release_date.desc' : 'first_air_date.desc',
+      'title': mediaType === 'movie' ? 'title.asc' : 'name.asc'
+    };
+    params.sort_by = sortMap[sortValue] || 'popularity.desc';
+
+    // TMDB pré-filtre la page ; le cache local tranche ensuite pour les titres déjà rafraîchis
+    if (filters) {
+      Object.assign(params, tmdbWatchParams(filters));
+    }
+
+    const response = await tmdbClient.get(endpoint, { params });
+
+    cacheMediaList(response.data.results.map(item => ({ ...item, media_type: mediaType })), language);
+
+    const results = response.data.results.slice(0, 20).map(item => formatTmdbListItem(item, mediaType));
+
+    // Filtrée après la pagination TMDB : total_pages / total_results restent ceux de TMDB (filtered: true)
+    res.json({ 
+      results: (await annotateWithAvailability(results, filters, language)).results,
+      page: response.data.page,
+      total_pages: Math.min(response.data.total_pages, 500),
+      total_results: response.data.total_results,
+      filtered: !!filters
+    });
+  } catch (error) {
+    console.error('Discover error:', error);
+    res.status(500).json({ error: 'Discover failed' });
+  }
+});
+
+// Get trending
+app.get('/api/trending', cheapRateLimit, async (req, res) => {
+  try {
+    const { type = 'all', time = 'week' } = req.query;
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const filters = parseDiscoverFilters(req.query, language);
+    if (filters && filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    
+    const mediaType = ['movie', 'tv', 'all'].includes(type) ? type : 'all';
+    const timeWindow = time === 'day' ? 'day' : 'week';
+
+    const response = await tmdbClient.get(`/trending/${mediaType}/${timeWindow}`, {
+      params: { language: language.tmdb_locale }
+    });
+
+    cacheMediaList(response.data.results, language);
+
+    const results = response.data.results
+      .filter(item => item.media_type === 'movie' || item.media_type === 'tv')
+      .slice(0, 20)
+      .map(item => formatTmdbListItem(item, item.media_type));
+
+    res.json({ results: (await annotateWithAvailability(results, filters, language)).results });
+  } catch (error) {
+    console.error('Trending error:', error);
+    res.status(500).json({ error: 'Trending failed' });
+  }
+});
+
+// ============================================
+// PEOPLE, COLLECTIONS, SIMILAR TITLES
+// ============================================
+// Même résumé et mêmes filtres (available_in, platforms, vf) que discover / trending.
+// Réponses avec "unchecked" : titres jamais rafraîchis écartés faute de budget TMDB (AVAILABILITY_BACKFILL_MAX).
+
+// Ex. /api/person/525?lang=fr&department=Directing&type=movie&available_in=BE&vf=true
+app.get('/api/person/:id', cheapRateLimit, async (req, res) => {
+  try {
+    const personId = parseTmdbId(req.params.id);
+    if (!personId) {
+      return res.status(400).json({ error: 'Invalid person id' });
+    }
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const filters = parseDiscoverFilters(req.query, language);
+    if (filters && filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    const { type, department } = req.query;
+    if (type && type !== 'movie' && type !== 'tv') {
+      return res.status(400).json({ error: 'Invalid media type. Must be "movie" or "tv"' });
+    }
+
+    const response = await tmdbClient.get(`/person/${personId}`, {
+      params: { language: language.tmdb_locale, append_to_response: 'combined_credits' }
+    });
+    const person = response.data;
+
+    // Un même titre peut apparaître plusieurs fois (réalisateur et scénariste...) : une entrée avec tous les rôles
+    const credits = new Map();
+    const credited = [
+      ...(person.combined_credits?.cast || []).map(credit => ({ ...credit, department: 'Acting', role: credit.character || null })),
+      ...(person.combined_credits?.crew || []).map(credit => ({ ...credit, role: credit.job || null }))
+    ];
+    for (const credit of credited) {
+      if (credit.media_type !== 'movie' && credit.media_type !== 'tv') continue;
+      if (type && credit.media_type !== type) continue;
+      if (department && credit.department !== department) continue;
+
+      const key = `${credit.media_type}:${credit.id}`;
+      if (!credits.has(key)) credits.set(key, { item: credit, departments: [], roles: [] });
+      const entry = credits.get(key);
+      if (!entry.departments.includes(credit.department)) entry.departments.push(credit.department);
+      if (credit.role && !entry.roles.includes(credit.role)) entry.roles.push(credit.role);
+    }
+
+    // Filmographie la plus récente d'abord ; les titres à venir (sans date) en tête
+    const items = Array.from(credits.values())
+      .sort((a, b) => (b.item.release_date || b.item.first_air_date || '9999')
+        .localeCompare(a.item.release_date || a.item.first_air_date || '9999'));
+
+    cacheMediaList(items.map(({ item }) => item), language);
+
+    // Budget TMDB dépensé sur les titres les plus populaires
+    const byPopularity = [...items].sort((a, b) => (b.item.popularity || 0) - (a.item.popularity || 0));
+    const annotated = await annotateWithAvailability(
+      byPopularity.map(({ item, departments, roles }) => ({ ...formatTmdbListItem(item, item.media_type), departments, roles })),
+      filters,
+      language,
+      { backfillMax: AVAILABILITY_BACKFILL_MAX }
+    );
+    const order = new Map(items.map(({ item }, index) => [`${item.media_type}:${item.id}`, index]));
+
+    res.json({
+      person: {
+        id: person.id,
+        name: person.name,
+        known_for_department: person.known_for_department,
+        biography: person.biography,
+        birthday: person.birthday,
+        deathday: person.deathday,
+        place_of_birth: person.place_of_birth,
+        profile: person.profile_path ? `https://image.tmdb.org/t/p/w342${person.profile_path}` : null
+      },
+      credits: annotated.results.sort((a, b) =>
+        order.get(`${a.media_type}:${a.tmdb_id}`) - order.get(`${b.media_type}:${b.tmdb_id}`)),
+      unchecked: annotated.unchecked
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({ error: 'Person not found' });
+    }
+    console.error('Person error:', error);
+    res.status(500).json({ error: 'Failed to fetch person' });
+  }
+});
+
+// Saga dans l'ordre de sortie : /api/collection/10?lang=fr
+app.get('/api/collection/:id', cheapRateLimit, async (req, res) => {
+  try {
+    const collectionId = parseTmdbId(req.params.id);
+    if (!collectionId) {
+      return res.status(400).json({ error: 'Invalid collection id' });
+    }
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const filters = parseDiscoverFilters(req.query, language);
+    if (filters && filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const response = await tmdbClient.get(`/collection/${collectionId}`, { params: { language: language.tmdb_locale } });
+    const collection = response.data;
+
+    // Les films pas encore sortis (sans date) en dernier
+    const parts = (collection.parts || [])
+      .map(part => ({ ...part, media_type: part.media_type || 'movie' }))
+      .sort((a, b) => (a.release_date || '9999').localeCompare(b.release_date || '9999'));
+
+    cacheMediaList(parts, language);
+    const annotated = await annotateWithAvailability(
+      parts.map((part, index) => ({ ...formatTmdbListItem(part, part.media_type), position: index + 1 })),
+      filters,
+      language,
+      { backfillMax: AVAILABILITY_BACKFILL_MAX }
+    );
+
+    res.json({
+      collection: {
+        id: collection.id,
+        name: collection.name,
+        overview: collection.overview,
+        poster: collection.poster_path ? `https://image.tmdb.org/t/p/w342${collection.poster_path}` : null,
+        backdrop: collection.backdrop_path ? `https://image.tmdb.org/t/p/w780${collection.backdrop_path}` : null,
+        parts_count: parts.length
+      },
+      parts: annotated.results,
+      unchecked: annotated.unchecked
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    console.error('Collection error:', error);
+    res.status(500).json({ error: 'Failed to fetch collection' });
+  }
+});
+
+// "À regarder maintenant" : /api/media/movie/27205/similar?lang=fr&available_in=FR&vf=true
+app.get('/api/media/:type/:id/similar', cheapRateLimit, async (req, res) => {
+  try {
+    const tmdbId = parseTmdbId(req.params.id);
+    if (!tmdbId) {
+      return res.status(400).json({ error: 'Invalid TMDB id' });
+    }
+    const mediaType = req.params.type;
+    if (mediaType !== 'movie' && mediaType !== 'tv') {
+      return res.status(400).json({ error: 'Invalid media type. Must be "movie" or "tv"' });
+    }
+
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const filters = parseDiscoverFilters(req.query, language);
+    if (filters && filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const response = await tmdbClient.get(`/${mediaType}/${tmdbId}/similar`, {
+      params: { language: language.tmdb_locale, page: Math.max(parseInt(req.query.page) || 1, 1) }
+    });
+
+    const items = response.data.results.map(item => ({ ...item, media_type: mediaType }));
+    cacheMediaList(items, language);
+    const annotated = await annotateWithAvailability(items.map(item => formatTmdbListItem(item, mediaType)), filters, language);
+
+    // Comme discover : totaux TMDB, avant les filtres de disponibilité
+    res.json({
+      results: annotated.results,
+      page: response.data.page,
+      total_pages: Math.min(response.data.total_pages, 500),
+      total_results: response.data.total_results,
+      filtered: !!filters
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({ error: 'Title not found' });
+    }
+    console.error('Similar titles error:', error);
+    res.status(500).json({ error: 'Failed to fetch similar titles' });
+  }
+});
+
+// ============================================
+// MAIN AVAILABILITY ENDPOINT
+// ============================================
+app.get('/api/media/:type/:id/availability', loadCacheRefreshedAt(), paidRefreshRateLimit, async (req, res) => {
+  try {
+    const tmdb_id = parseTmdbId(req.params.id);
+    const mediaType = req.params.type;
+    const forceRefresh = req.query.refresh === 'true';
+
+    if (!tmdb_id) {
+      return res.status(400).json({ error: 'Invalid TMDB id' });
+    }
+    if (mediaType !== 'movie' && mediaType !== 'tv') {
+      return res.status(400).json({ error: 'Invalid media type. Must be "movie" or "tv"' });
+    }
+
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const availabilityQuery = parseAvailabilityQuery(req.query, language);
+    if (availabilityQuery.error) {
+      return res.status(400).json({ error: availabilityQuery.error });
+    }
+
+    // Get media details from TMDB
+    const mediaInfo = await fetchMediaDetails(tmdb_id, mediaType, language);
+
+    // Check cache (stale-while-revalidate: stale entries are served and refreshed in background)
+    const refreshedAt = req.cacheRefreshedAt !== undefined ? req.cacheRefreshedAt : await getCacheRefreshedAt(tmdb_id, mediaType);
+
+    if (!forceRefresh && refreshedAt) {
+      const cacheAge = Date.now() - new Date(refreshedAt).getTime();
+      const stale = cacheAge >= CACHE_DURATION;
+
+      if (stale) {
+        enqueueRefresh(tmdb_id, mediaType).catch(err => console.error('Enqueue refresh error:', err.message));
+      }
+      console.log(`✅ Using ${stale ? 'stale ' : ''}cached data (${Math.round(cacheAge / (1000 * 60 * 60))} hours old)`);
+
+      // Filter on the requested language, priority countries first
+      const sortedResults = availabilityQuery.apply(
+        formatAvailabilitiesForLanguage(await loadCachedAvailabilities(tmdb_id, mediaType), language)
+      );
+
+      return res.json({ 
+        availabilities: sortedResults,
+        media: mediaInfo,
+        language: { code: language.key, label: language.label },
+        cached: true,
+        stale,
+        refreshed_at: refreshedAt,
+        sources: ['cache']
+      });
+    }
+
+    // Fetch fresh data from BOTH sources (serialised per title)
+    const { availabilities, quotaExceeded, sources, reused } = await refreshAvailabilities(tmdb_id, mediaType, refreshedAt);
+
+    if (reused) {
+      return res.json({ 
+        availabilities: availabilityQuery.apply(
+          formatAvailabilitiesForLanguage(await loadCachedAvailabilities(tmdb_id, mediaType), language)
+        ),
+        media: mediaInfo,
+        language: { code: language.key, label: language.label },
+        cached: true,
+        stale: false,
+        sources: ['cache']
+      });
+    }
+
+    if (quotaExceeded) {
+      // Sera récupéré par la file dès que le quota le permettra
+      enqueueRefresh(tmdb_id, mediaType).catch(err => console.error('Enqueue refresh error:', err.message));
+    }
+
+    // Sort with priority countries first
+    const sortedResults = availabilityQuery.apply(formatAvailabilitiesForLanguage(availabilities, language));
+
+    res.json({ 
+      availabilities: sortedResults,
+      media: mediaInfo,
+      language: { code: language.key, label: language.label },
+      cached: false,
+      stale: false,
+      quota_exceeded: quotaExceeded,
+      sources
+    });
+
+  } catch (error) {
+    console.error('Availability error:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// ============================================
+// TV SEASONS
+// ============================================
+
+/**
+ * Disponibilités d'un titre pour les routes secondaires : cache (périmé = servi puis remis en file),
+ * sinon refresh. Retourne { availabilities, cached, stale, refreshed_at, quota_exceeded }.
+ */
+async function getTitleAvailabilities(tmdbId, mediaType) {
+  const refreshedAt = await getCacheRefreshedAt(tmdbId, mediaType);
+  if (refreshedAt) {
+    const stale = Date.now() - new Date(refreshedAt).getTime() >= CACHE_DURATION;
+    if (stale) {
+      enqueueRefresh(tmdbId, mediaType).catch(err => console.error('Enqueue refresh error:', err.message));
+    }
+    return { availabilities: await loadCachedAvailabilities(tmdbId, mediaType), cached: true, stale, refreshed_at: refreshedAt, quota_exceeded: false };
+  }
+
+  const { availabilities, quotaExceeded, reused } = await refreshAvailabilities(tmdbId, mediaType, null);
+  if (reused) {
+    return { availabilities: await loadCachedAvailabilities(tmdbId, mediaType), cached: true, stale: false, refreshed_at: null, quota_exceeded: false };
+  }
+  if (quotaExceeded) {
+    enqueueRefresh(tmdbId, mediaType).catch(err => console.error('Enqueue refresh error:', err.message));
+  }
+  return { availabilities, cached: false, stale: false, refreshed_at: null, quota_exceeded: quotaExceeded };
+}
+
+/**
+ * Disponibilités d'une saison : les lignes de cette saison (season_scope "season"), plus les lignes
+ * série entière (season_scope "show") des plateformes / pays pour lesquels aucune source ne donne
+ * le détail par saison. ?episode= garde les lignes qui couvrent l'épisode (ou sans détail par épisode).
+ */
+function availabilitiesForSeason(availabilities, seasonNumber, episodeNumber = null) {
+  const pairKey = (avail) => `${avail.platform}|${avail.country_code}`;
+  const withSeasonDetail = new Set(availabilities
+    .filter(avail => avail.season_number !== null && avail.season_number !== undefined)
+    .map(pairKey));
+
+  return availabilities
+    .filter(avail => avail.season_number === seasonNumber ||
+      ((avail.season_number === null || avail.season_number === undefined) && !withSeasonDetail.has(pairKey(avail))))
+    .filter(avail => episodeNumber === null || !avail.episode_numbers || avail.episode_numbers.includes(episodeNumber))
+    .map(avail => ({ ...avail, season_scope: avail.season_number === seasonNumber ? 'season' : 'show' }));
+}
+
+// Numéros de saison connus : liste TMDB (hors épisodes spéciaux sans disponibilité), sinon number_of_seasons,
+// complétés par les saisons vues dans les disponibilités
+function listSeasons(media, availabilities) {
+  const seasons = new Map();
+  const fromTmdb = media.seasons || Array.from({ length: media.number_of_seasons || 0 }, (_, i) => ({ season_number: i + 1 }));
+  for (const season of fromTmdb) {
+    seasons.set(season.season_number, { name: null, episode_count: null, air_date: null, ...season });
+  }
+  for (const avail of availabilities) {
+    if (avail.season_number !== null && avail.season_number !== undefined && !seasons.has(avail.season_number)) {
+      seasons.set(avail.season_number, { season_number: avail.season_number, name: null, episode_count: null, air_date: null });
+    }
+  }
+
+  const withAvailability = new Set(availabilities.map(avail => avail.season_number));
+  return Array.from(seasons.values())
+    .filter(season => season.season_number !== 0 || withAvailability.has(0))
+    .sort((a, b) => a.season_number - b.season_number);
+}
+
+const CONFIDENCE_RANK = { absent: 0, inferred: 1, confirmed: 2 };
+const bestConfidence = (a, b) => (CONFIDENCE_RANK[b] > CONFIDENCE_RANK[a] ? b : a);
+
+// Matrice plateforme × pays d'une saison (lignes déjà formatées pour la langue)
+function seasonMatrix(availabilities) {
+  const matrix = {};
+  for (const avail of availabilities) {
+    const byCountry = matrix[avail.platform] || (matrix[avail.platform] = {});
+    const cell = byCountry[avail.country_code] || (byCountry[avail.country_code] = {
+      streaming_types: [],
+      audio: 'absent',
+      subtitles: 'absent',
+      season_scope: avail.season_scope,
+      episodes: null
+    });
+
+    if (!cell.streaming_types.includes(avail.streaming_type)) cell.streaming_types.push(avail.streaming_type);
+    cell.audio = bestConfidence(cell.audio, avail.audio);
+    cell.subtitles = bestConfidence(cell.subtitles, avail.subtitles);
+    if (avail.season_scope === 'season') cell.season_scope = 'season';
+    if (avail.episode_numbers) {
+      cell.episodes = [...new Set([...(cell.episodes || []), ...avail.episode_numbers])].sort((a, b) => a - b);
+    }
+  }
+  return matrix;
+}
+
+// Résumé par saison : /api/media/tv/1399/seasons?lang=fr&country=FR,BE&platform=netflix
+app.get('/api/media/tv/:id/seasons', cheapRateLimit, loadCacheRefreshedAt('tv'), paidRefreshRateLimit, async (req, res) => {
+  try {
+    const tmdbId = parseTmdbId(req.params.id);
+    if (!tmdbId) {
+      return res.status(400).json({ error: 'Invalid TMDB id' });
+    }
+
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const countries = parseListParam(req.query.country).map(country => country.toUpperCase());
+    const platforms = parsePlatformParam(req.query.platform);
+
+    const media = await fetchMediaDetails(tmdbId, 'tv', language);
+    const title = await getTitleAvailabilities(tmdbId, 'tv');
+    const availabilities = formatAvailabilitiesForLanguage(title.availabilities, language)
+      .filter(avail => countries.length === 0 || countries.includes(avail.country_code))
+      .filter(avail => platforms.length === 0 || platforms.includes(avail.platform.toLowerCase()));
+
+    const seasons = listSeasons(media, availabilities).map(season => {
+      const seasonAvailabilities = availabilitiesForSeason(availabilities, season.season_number);
+      return {
+        ...season,
+        platforms_count: new Set(seasonAvailabilities.map(avail => avail.platform)).size,
+        countries_count: new Set(seasonAvailabilities.map(avail => avail.country_code)).size,
+        matrix: seasonMatrix(seasonAvailabilities)
+      };
+    });
+
+    res.json({
+      tmdb_id: tmdbId,
+      media,
+      language: { code: language.key, label: language.label },
+      seasons,
+      cached: title.cached,
+      stale: title.stale,
+      refreshed_at: title.refreshed_at,
+      quota_exceeded: title.quota_exceeded
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({ error: 'Title not found' });
+    }
+    console.error('Seasons error:', error);
+    res.status(500).json({ error: 'Failed to fetch seasons availability' });
+  }
+});
+
+// Ex. /api/media/tv/1399/seasons/3/availability?lang=fr&episode=5
+app.get('/api/media/tv/:id/seasons/:season/availability', cheapRateLimit, loadCacheRefreshedAt('tv'), paidRefreshRateLimit, async (req, res) => {
+  try {
+    const tmdbId = parseTmdbId(req.params.id);
+    const seasonNumber = parseInt(req.params.season);
+    const episodeNumber = req.query.episode !== undefined ? parseInt(req.query.episode) : null;
+
+    if (!tmdbId) {
+      return res.status(400).json({ error: 'Invalid TMDB id' });
+    }
+    if (Number.isNaN(seasonNumber) || seasonNumber < 0) {
+      return res.status(400).json({ error: 'Invalid season number' });
+    }
+    if (episodeNumber !== null && (Number.isNaN(episodeNumber) || episodeNumber < 1)) {
+      return res.status(400).json({ error: 'Invalid episode number' });
+    }
+
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const media = await fetchMediaDetails(tmdbId, 'tv', language);
+    const title = await getTitleAvailabilities(tmdbId, 'tv');
+    const availabilities = availabilitiesForSeason(
+      formatAvailabilitiesForLanguage(title.availabilities, language),
+      seasonNumber,
+      episodeNumber
+    );
+
+    res.json({
+      tmdb_id: tmdbId,
+      season_number: seasonNumber,
+      episode_number: episodeNumber,
+      season: listSeasons(media, title.availabilities).find(season => season.season_number === seasonNumber) || null,
+      availabilities,
+      media,
+      language: { code: language.key, label: language.label },
+      cached: title.cached,
+      stale: title.stale,
+      refreshed_at: title.refreshed_at,
+      quota_exceeded: title.quota_exceeded
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({ error: 'Title not found' });
+    }
+    console.error('Season availability error:', error);
+    res.status(500).json({ error: 'Failed to fetch season availability' });
+  }
+});
+
+// Backwards compatibility
+app.get('/api/movie/:id/availability', async (req, res) => {
+  return res.redirect(308, `/api/media/movie/${req.params.id}/availability`);
+});
+
+// ============================================
+// BATCH AVAILABILITY (grilles discover / trending)
+// ============================================
+const BATCH_MISSING_MODES = ['enqueue', 'fetch', 'skip'];
+
+/**
+ * Résumé compact d'un titre pour la langue : plateformes des pays demandés (par défaut les pays
+ * prioritaires), avec pour chacune les pays, les types d'offre et la meilleure confiance
+ * audio / sous-titres dans la langue. Mêmes lignes que la route détail : celles dont les pistes
+ * excluent la langue sont écartées.
+ */
+function summariseAvailabilities(availabilities, language, countries = language.priority_countries) {
+  const platforms = new Map();
+  let audio = 'absent';
+  let subtitles = 'absent';
+
+  for (const avail of availabilities) {
+    if (!countries.includes(avail.country_code)) continue;
+    const formatted = formatAvailability(avail, language);
+    if (!isUsableForLanguage(formatted)) continue;
+
+    const platform = platforms.get(formatted.platform) ||
+      { platform: formatted.platform, countries: [], streaming_types: [], audio: 'absent', subtitles: 'absent' };
+    if (!platform.countries.includes(formatted.country_code)) platform.countries.push(formatted.country_code);
+    if (!platform.streaming_types.includes(formatted.streaming_type)) platform.streaming_types.push(formatted.streaming_type);
+    platform.audio = bestConfidence(platform.audio, formatted.audio);
+    platform.subtitles = bestConfidence(platform.subtitles, formatted.subtitles);
+    platforms.set(formatted.platform, platform);
+
+    audio = bestConfidence(audio, formatted.audio);
+    subtitles = bestConfidence(subtitles, formatted.subtitles);
+  }
+
+  const countryOrder = (country) => countries.indexOf(country);
+  return {
+    has_audio: audio !== 'absent',
+    audio,
+    subtitles,
+    platforms: Array.from(platforms.values()).map(platform => ({
+      ...platform,
+      countries: platform.countries.sort((a, b) => countryOrder(a) - countryOrder(b))
+    }))
+  };
+}
+
+// Cache de plusieurs titres en une requête (pays demandés seulement)
+// → Map "type:id" → { refreshed_at, countries_count (tous pays confondus), availabilities }
+async function loadCachedSummaries(items, countries) {
+  const result = await pool.query(
+    `WITH wanted AS (SELECT * FROM unnest($1::int[], $2::text[]) AS w(tmdb_id, media_type))
+     SELECT w.tmdb_id, w.media_type, r.refreshed_at,
+            (SELECT COUNT(DISTINCT c.country_code) FROM availabilities c
+             WHERE c.tmdb_id = w.tmdb_id AND c.media_type = w.media_type) AS countries_count,
+            a.id, a.platform, a.country_code, a.streaming_type, a.languages_known,
+            COALESCE(
+              json_agg(json_build_object('kind', l.kind, 'language', l.language, 'region', l.region, 'closed_captions', l.closed_captions))
+                FILTER (WHERE l.id IS NOT NULL),
+              '[]'
+            ) AS languages
+     FROM wanted w
+     LEFT JOIN availability_refreshes r ON r.tmdb_id = w.tmdb_id AND r.media_type = w.media_type
+     LEFT JOIN availabilities a ON a.tmdb_id = w.tmdb_id AND a.media_type = w.media_type AND a.country_code = ANY($3)
+     LEFT JOIN availability_languages l ON l.availability_id = a.id
+     GROUP BY w.tmdb_id, w.media_type, r.refreshed_at, a.id`,
+    [items.map(item => item.id), items.map(item => item.type), countries]
+  );
+
+  const titles = new Map();
+  for (const row of result.rows) {
+    const key = `${row.media_type}:${row.tmdb_id}`;
+    if (!titles.has(key)) {
+      titles.set(key, { refreshed_at: row.refreshed_at, countries_count: parseInt(row.countries_count), availabilities: [] });
+    }
+    if (row.id) {
+      const { tmdb_id, media_type, refreshed_at, countries_count, ...avail } = row;
+      titles.get(key).availabilities.push(withLanguageTracks(avail));
+    }
+  }
+  return titles;
+}
+
+// Ex. POST /api/availability/batch?lang=fr
+//     { "items": [{ "type": "movie", "id": 27205 }, { "type": "tv", "id": 1399 }], "missing": "enqueue" }
+// missing : enqueue (défaut, file de refresh), fetch (refresh en ligne, quota), skip
+app.post('/api/availability/batch', cheapRateLimit, batchFetchRateLimit, async (req, res) => {
+  try {
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const missing = req.body.missing || 'enqueue';
+    if (!BATCH_MISSING_MODES.includes(missing)) {
+      return res.status(400).json({ error: `Invalid missing mode. Available: ${BATCH_MISSING_MODES.join(', ')}` });
+    }
+    if (!Array.isArray(req.body.items) || req.body.items.length === 0) {
+      return res.status(400).json({ error: '"items" is required, e.g. [{ "type": "movie", "id": 27205 }]' });
+    }
+    if (req.body.items.length > AVAILABILITY_BATCH_MAX) {
+      return res.status(400).json({ error: `At most ${AVAILABILITY_BATCH_MAX} items per request` });
+    }
+
+    const items = req.body.items.map(item => ({ type: item && item.type, id: parseInt(item && item.id) }));
+    if (items.some(item => (item.type !== 'movie' && item.type !== 'tv') || !(item.id > 0))) {
+      return res.status(400).json({ error: 'Each item needs a "type" ("movie" or "tv") and a numeric "id"' });
+    }
+
+    const cached = await loadCachedSummaries(items, language.priority_countries);
+
+    let fetched = 0;
+    const results = [];
+    for (const item of items) {
+      const key = `${item.type}:${item.id}`;
+      const title = cached.get(key);
+      let status;
+      let availabilities = title ? title.availabilities : [];
+
+      if (title && title.refreshed_at) {
+        status = Date.now() - new Date(title.refreshed_at).getTime() >= CACHE_DURATION ? 'stale' : 'fresh';
+        if (status === 'stale') {
+          enqueueRefresh(item.id, item.type).catch(err => console.error('Enqueue refresh error:', err.message));
+        }
+      } else if (missing === 'fetch' && fetched < AVAILABILITY_BATCH_FETCH_MAX && !(await findUnaffordableQuota())) {
+        fetched++;
+        const refreshed = await refreshAvailabilities(item.id, item.type, null);
+        if (refreshed.reused) {
+          availabilities = await loadCachedAvailabilities(item.id, item.type);
+          status = 'fresh';
+        } else {
+          availabilities = refreshed.availabilities;
+          status = refreshed.quotaExceeded ? 'partial' : 'fresh';
+          if (refreshed.quotaExceeded) {
+            enqueueRefresh(item.id, item.type).catch(err => console.error('Enqueue refresh error:', err.message));
+          }
+        }
+      } else {
+        status = missing === 'skip' ? 'missing' : 'queued';
+        if (missing !== 'skip') {
+          enqueueRefresh(item.id, item.type).catch(err => console.error('Enqueue refresh error:', err.message));
+        }
+      }
+
+      results.push({
+        type: item.type,
+        id: item.id,
+        status,
+        refreshed_at: title ? title.refreshed_at : null,
+        ...summariseAvailabilities(availabilities, language)
+      });
+    }
+
+    res.json({
+      language: { code: language.key, label: language.label },
+      priority_countries: language.priority_countries,
+      results
+    });
+  } catch (error) {
+    console.error('Batch availability error:', error);
+    res.status(500).json({ error: 'Failed to fetch batch availability' });
+  }
+});
+
+// ============================================
+// AVAILABILITY FILTERS (discover / trending)
+// ============================================
+
+/**
+ * Filtres optionnels de /api/discover et /api/trending : available_in=FR,BE (défaut : pays prioritaires
+ * de la langue), platforms=netflix,canal, vf=true (audio dans la langue demandée, confirmé ou supposé).
+ * Retourne null sans filtre, { error } si un paramètre est invalide.
+ */
+function parseDiscoverFilters(query, language) {
+  if (query.vf !== undefined && query.vf !== 'true' && query.vf !== 'false') {
+    return { error: 'vf must be "true" or "false"' };
+  }
+
+  const countries = parseListParam(query.available_in).map(country => country.toUpperCase());
+  const platforms = parseListParam(query.platforms).map(value => findPlatform(value) || { id: null, name: value });
+  const vf = query.vf === 'true';
+  if (countries.length === 0 && platforms.length === 0 && !vf) return null;
+
+  return {
+    countries: countries.length > 0 ? countries : language.priority_countries,
+    platforms,
+    platformNames: platforms.map(platform => platform.name.toLowerCase()),
+    vf
+  };
+}
+
+// Équivalent TMDB des filtres pour /discover (TMDB n'accepte qu'une région : le premier pays)
+function tmdbWatchParams(filters) {
+  // TMDB ne filtre que sur une région : avec plusieurs pays, le pré-filtre écarterait les titres
+  // disponibles seulement dans les autres, le cache local fait alors tout le tri
+  if (filters.countries.length !== 1) return {};
+
+  const providerIds = filters.platforms.flatMap(platform => platform.id ? getUpstreamIds(platform, 'tmdb') : []);
+  return providerIds.length > 0
+    ? { watch_region: filters.countries[0], with_watch_providers: providerIds.join('|') }
+    : { watch_region: filters.countries[0], with_watch_monetization_types: 'flatrate|free|ads|rent|buy' };
+}
+
+function matchesDiscoverFilters(avail, filters, language) {
+  const formatted = formatAvailability(avail, language);
+  return filters.countries.includes(formatted.country_code) &&
+    (filters.platformNames.length === 0 || filters.platformNames.includes(formatted.platform.toLowerCase())) &&
+    (!filters.vf || formatted.audio !== 'absent');
+}
+
+/**
+ * Ajoute à chaque résultat ({ tmdb_id, media_type, ... }) le résumé de disponibilité (cache, une requête ;
+ * countries_count : pays disponibles, tous pays confondus) et garde ceux qui passent les filtres. Avec des filtres, les titres jamais rafraîchis sont évalués
+ * avec les watch providers TMDB (gratuits, sans langues : VF seulement supposée), sans mise en cache,
+ * dans la limite de backfillMax appels (dans l'ordre des résultats) : les suivants sont écartés et comptés.
+ * Retourne { results, unchecked }.
+ */
+async function annotateWithAvailability(results, filters, language, { backfillMax = Infinity } = {}) {
+  const countries = filters ? filters.countries : language.priority_countries;
+  const cached = await loadCachedSummaries(results.map(result => ({ id: result.tmdb_id, type: result.media_type })), countries);
+  const tmdbProvider = getProvider('tmdb');
+  const canBackfill = !!filters && !!tmdbProvider && tmdbProvider.isConfigured();
+
+  let backfills = 0;
+  let unchecked = 0;
+  const annotated = await Promise.all(results.map(async (result) => {
+    const title = cached.get(`${result.media_type}:${result.tmdb_id}`);
+    let availabilities = title ? title.availabilities : [];
+    let source = title && title.refreshed_at ? 'cache' : null;
+
+    if (!source && canBackfill) {
+      if (backfills >= backfillMax) {
+        unchecked++;
+        return null;
+      }
+      backfills++;
+      const raw = await tmdbProvider.fetch(result.tmdb_id, result.media_type);
+      availabilities = tmdbProvider.normalise(result.tmdb_id, raw, result.media_type);
+      source = 'tmdb';
+    }
+
+    if (filters && !availabilities.some(avail => matchesDiscoverFilters(avail, filters, language))) return null;
+    const countriesCount = source === 'cache' ? title.countries_count : new Set(availabilities.map(avail => avail.country_code)).size;
+    return {
+      ...result,
+      availability: { source, countries_count: countriesCount, ...summariseAvailabilities(availabilities, language, countries) }
+    };
+  }));
+
+  return { results: annotated.filter(Boolean), unchecked };
+}
+
+// ============================================
+// CATALOG (which titles are where)
+// ============================================
+const CATALOG_SORTS = {
+  recent: 'MAX(a.updated_at) DESC',
+  countries: 'COUNT(DISTINCT a.country_code) DESC',
+  platforms: 'COUNT(DISTINCT a.platform) DESC',
+  // Métadonnées de la table media (titres jamais vus en détail : en dernier)
+  title: 'MAX(m.title) ASC NULLS LAST',
+  year: 'MAX(m.year) DESC NULLS LAST'
+};
+
+// "a,b" ou ?x=a&x=b → ['a', 'b'] ; les nombres (body JSON) sont convertis, les objets ignorés
+function parseListParam(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .filter(item => typeof item === 'string' || typeof item === 'number')
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// Plateformes filtrées par id du catalogue (netflix, amazon-prime...), alias ou nom, comparées en minuscules
+function parsePlatformParam(value) {
+  return parseListParam(value).map(platform => (findPlatform(platform)?.name || platform).toLowerCase());
+}
+
+/**
+ * Condition SQL "la langue est disponible" pour kind = audio | subtitle.
+ * Sans confirmedOnly, les lignes sans info de pistes dans un pays de la langue comptent aussi (inferred).
+ */
+function languageConditionSql(kind, language, params, confirmedOnly = false) {
+  params.push(kind, language.code);
+  const tracks = `EXISTS (
+    SELECT 1 FROM availability_languages lf
+    WHERE lf.availability_id = a.id AND lf.kind = $${params.length - 1} AND lf.language = $${params.length}
+  )`;
+  if (confirmedOnly) return tracks;
+
+  params.push(language.speaking_countries);
+  return `(${tracks} OR (NOT a.languages_known AND a.country_code = ANY($${params.length})))`;
+}
+
+// Ex. /api/catalog?platform=netflix&country=BE&audio=fr
+//     /api/catalog?platform=canal&country=FR&streaming_type=subscription
+app.get('/api/catalog', cheapRateLimit, async (req, res) => {
+  try {
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const { type, season, audio, subtitles, confidence, sort = 'recent', page = 1, per_page = 20 } = req.query;
+    const platforms = parsePlatformParam(req.query.platform);
+    const countries = parseListParam(req.query.country).map(country => country.toUpperCase());
+    const streamingTypes = parseListParam(req.query.streaming_type);
+
+    if (type && type !== 'movie' && type !== 'tv') {
+      return res.status(400).json({ error: 'Invalid media type. Must be "movie" or "tv"' });
+    }
+    if (!CATALOG_SORTS[sort]) {
+      return res.status(400).json({ error: `Invalid sort. Available: ${Object.keys(CATALOG_SORTS).join(', ')}` });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (type) {
+      params.push(type);
+      conditions.push(`a.media_type = $${params.length}`);
+    }
+    if (platforms.length > 0) {
+      params.push(platforms);
+      conditions.push(`LOWER(a.platform) = ANY($${params.length})`);
+    }
+    if (countries.length > 0) {
+      params.push(countries);
+      conditions.push(`a.country_code = ANY($${params.length})`);
+    }
+    if (streamingTypes.length > 0) {
+      params.push(streamingTypes);
+      conditions.push(`a.streaming_type = ANY($${params.length})`);
+    }
+    if (season !== undefined) {
+      if (!/^\d+$/.test(season)) {
+        return res.status(400).json({ error: 'season must be a number, e.g. 1' });
+      }
+      params.push(parseInt(season));
+      conditions.push(`a.season_number = $${params.length}`);
+    }
+
+    for (const [kind, lang] of [['audio', audio], ['subtitle', subtitles]]) {
+      if (!lang) continue;
+      const trackLanguage = getLanguageConfig(lang);
+      if (!trackLanguage) {
+        return res.status(400).json({ error: `Unsupported ${kind} language. Available: ${Object.keys(LANGUAGES).join(', ')}` });
+      }
+      conditions.push(languageConditionSql(kind, trackLanguage, params, confidence === 'confirmed'));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const perPage = Math.min(Math.max(parseInt(per_page) || 20, 1), 50);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const titles = await pool.query(
+      `SELECT a.tmdb_id, a.media_type, COUNT(*) OVER() AS total
+       FROM availabilities a
+       LEFT JOIN media m ON m.tmdb_id = a.tmdb_id AND m.media_type = a.media_type AND m.language = $${params.length + 3}
+       ${where}
+       GROUP BY a.tmdb_id, a.media_type
+       ORDER BY ${CATALOG_SORTS[sort]}, a.tmdb_id
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, perPage, (pageNumber - 1) * perPage, language.key]
+    );
+
+    const totalResults = titles.rows.length > 0 ? parseInt(titles.rows[0].total) : 0;
+    let rows = [];
+
+    if (titles.rows.length > 0) {
+      // Only the availabilities matching the filters, for the titles of this page
+      const matching = await pool.query(
+        `${AVAILABILITY_WITH_LANGUAGES_SQL}
+         ${where ? `${where} AND` : 'WHERE'} (a.tmdb_id, a.media_type) IN (
+           SELECT * FROM unnest($${params.length + 1}::int[], $${params.length + 2}::text[])
+         )
+         GROUP BY a.id`,
+        [...params, titles.rows.map(t => t.tmdb_id), titles.rows.map(t => t.media_type)]
+      );
+      rows = matching.rows.map(withLanguageTracks);
+    }
+
+    // Métadonnées lues dans la table media (même périmées) ; TMDB seulement pour quelques titres jamais vus
+    const media = titles.rows.length > 0 ? await pool.query(
+      `SELECT * FROM media
+       WHERE (tmdb_id, media_type) IN (SELECT * FROM unnest($1::int[], $2::text[])) AND language = $3`,
+      [titles.rows.map(t => t.tmdb_id), titles.rows.map(t => t.media_type), language.key]
+    ) : { rows: [] };
+    const mediaByKey = new Map(media.rows.map(row => [`${row.media_type}:${row.tmdb_id}`, formatMediaRow(row)]));
+    let detailsFetches = 0;
+
+    const results = await Promise.all(titles.rows.map(async (title) => {
+      const availabilities = rows
+        .filter(row => row.tmdb_id === title.tmdb_id && row.media_type === title.media_type)
+        .map(row => formatAvailability(row, language));
+
+      let mediaInfo = mediaByKey.get(`${title.media_type}:${title.tmdb_id}`) || null;
+      if (!mediaInfo && detailsFetches < CATALOG_DETAILS_FETCH_MAX) {
+        detailsFetches++;
+        mediaInfo = await fetchMediaDetails(title.tmdb_id, title.media_type, language).catch(() => null);
+      }
+
+      return {
+        tmdb_id: title.tmdb_id,
+        media_type: title.media_type,
+        media: mediaInfo,
+        availabilities: sortByPriorityCountries(availabilities, language.priority_countries, language.key)
+      };
+    }));
+
+    res.json({
+      results,
+      page: pageNumber,
+      per_page: perPage,
+      total_results: totalResults,
+      total_pages: Math.ceil(totalResults / perPage)
+    });
+  } catch (error) {
+    console.error('Catalog error:', error);
+    res.status(500).json({ error: 'Catalog query failed' });
+  }
+});
+
+// ============================================
+// HISTORY & CHANGES FEED
+// ============================================
+const EVENT_TYPES = ['added', 'removed', 'languages_changed', 'url_changed'];
+
+app.get('/api/media/:type/:id/history', cheapRateLimit, async (req, res) => {
+  try {
+    const tmdbId = parseTmdbId(req.params.id);
+    const mediaType = req.params.type;
+
+    if (!tmdbId) {
+      return res.status(400).json({ error: 'Invalid TMDB id' });
+    }
+    if (mediaType !== 'movie' && mediaType !== 'tv') {
+      return res.status(400).json({ error: 'Invalid media type. Must be "movie" or "tv"' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const result = await pool.query(
+      `SELECT id, event_type, platform, country_code, streaming_type, addon_name, quality, season_number, previous, current, created_at
+       FROM availability_events
+       WHERE tmdb_id = $1 AND media_type = $2
+       ORDER BY created_at DESC, id DESC
+       LIMIT $3`,
+      [tmdbId, mediaType, limit]
+    );
+
+    res.json({ tmdb_id: tmdbId, media_type: mediaType, events: result.rows });
+  } catch (error) {
+    console.error('History error:', error);
+    res.status(500).json({ error: 'Failed to fetch history' });
+  }
+});
+
+// Ex. nouveautés Netflix FR en VF cette semaine :
+//     /api/changes?event=added&platform=netflix&country=FR&audio=fr
+app.get('/api/changes', cheapRateLimit, async (req, res) => {
+  try {
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const { type, audio, subtitles, page = 1, per_page = 50 } = req.query;
+    const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const eventTypes = parseListParam(req.query.event);
+    const platforms = parsePlatformParam(req.query.platform);
+    const countries = parseListParam(req.query.country).map(country => country.toUpperCase());
+
+    if (isNaN(since.getTime())) {
+      return res.status(400).json({ error: 'Invalid "since" date' });
+    }
+    if (eventTypes.some(eventType => !EVENT_TYPES.includes(eventType))) {
+      return res.status(400).json({ error: `Invalid event type. Available: ${EVENT_TYPES.join(', ')}` });
+    }
+    if (type && type !== 'movie' && type !== 'tv') {
+      return res.status(400).json({ error: 'Invalid media type. Must be "movie" or "tv"' });
+    }
+
+    const params = [since];
+    const conditions = ['e.created_at >= $1'];
+
+    if (eventTypes.length > 0) {
+      params.push(eventTypes);
+      conditions.push(`e.event_type = ANY($${params.length})`);
+    }
+    if (type) {
+      params.push(type);
+      conditions.push(`e.media_type = $${params.length}`);
+    }
+    if (platforms.length > 0) {
+      params.push(platforms);
+      conditions.push(`LOWER(e.platform) = ANY($${params.length})`);
+    }
+    if (countries.length > 0) {
+      params.push(countries);
+      conditions.push(`e.country_code = ANY($${params.length})`);
+    }
+
+    // Langue présente dans le snapshot de l'événement (l'ancien pour un "removed")
+    for (const [field, lang] of [['audio', audio], ['subtitles', subtitles]]) {
+      if (!lang) continue;
+      const trackLanguage = getLanguageConfig(lang);
+      if (!trackLanguage) {
+        return res.status(400).json({ error: `Unsupported ${field} language. Available: ${Object.keys(LANGUAGES).join(', ')}` });
+      }
+      params.push(trackLanguage.code, trackLanguage.speaking_countries);
+      conditions.push(`(
+        COALESCE(e.current, e.previous)->'${field}' ? $${params.length - 1}
+        OR (NOT (COALESCE(e.current, e.previous)->>'languages_known')::boolean AND e.country_code = ANY($${params.length}))
+      )`);
+    }
+
+    const perPage = Math.min(Math.max(parseInt(per_page) || 50, 1), 100);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const result = await pool.query(
+      `SELECT e.*, COUNT(*) OVER() AS total
+       FROM availability_events e
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY e.created_at DESC, e.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, perPage, (pageNumber - 1) * perPage]
+    );
+
+    // Métadonnées une seule fois par titre
+    const titles = new Map();
+    for (const row of result.rows) {
+      const key = `${row.media_type}:${row.tmdb_id}`;
+      if (!titles.has(key)) {
+        titles.set(key, fetchMediaDetails(row.tmdb_id, row.media_type, language).catch(() => null));
+      }
+    }
+
+    const changes = await Promise.all(result.rows.map(async ({ total, ...row }) => ({
+      ...row,
+      country_name: getLocalizedCountryName(row.country_code, language.key) || getCountryName(row.country_code),
+      media: await titles.get(`${row.media_type}:${row.tmdb_id}`)
+    })));
+
+    const totalResults = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+    res.json({
+      changes,
+      since: since.toISOString(),
+      page: pageNumber,
+      per_page: perPage,
+      total_results: totalResults,
+      total_pages: Math.ceil(totalResults / perPage)
+    });
+  } catch (error) {
+    console.error('Changes feed error:', error);
+    res.status(500).json({ error: 'Failed to fetch changes' });
+  }
+});
+
+// ============================================
+// WATCHLIST & ALERTS
+// ============================================
+const AUDIO_REQUIREMENTS = ['audio', 'audio_or_subtitles', 'any'];
+const requireDeviceToken = requireDevice(pool);
+// Adresses (cibles à confirmer) distinctes par appareil : un appareil anonyme n'écrit pas à n'importe qui
+const ALERT_CONFIRMED_TARGETS_MAX = parseInt(process.env.ALERT_CONFIRMED_TARGETS_MAX) || 3;
+const ALERT_COLUMNS = `id, tmdb_id, media_type, countries, platforms, language, audio_requirement, confirmed_only,
+  notifier, target, satisfied, active, confirmed_at, last_fired_at, created_at`;
+
+// Disponibilités (formatées dans la langue de la règle) qui satisfont une règle d'alerte
+function matchAlertRule(rule, availabilities) {
+  const language = getLanguageConfig(rule.language);
+  const accepted = (confidence) => confidence === 'confirmed' || (!rule.confirmed_only && confidence === 'inferred');
+
+  return availabilities
+    .map(avail => formatAvailability(avail, language))
+    .filter(avail => {
+      if (rule.countries.length > 0 && !rule.countries.includes(avail.country_code)) return false;
+      if (rule.platforms.length > 0 && !rule.platforms.includes(avail.platform.toLowerCase())) return false;
+      if (rule.audio_requirement === 'audio') return accepted(avail.audio);
+      if (rule.audio_requirement === 'audio_or_subtitles') return accepted(avail.audio) || accepted(avail.subtitles);
+      return true;
+    });
+}
+
+async function sendAlert(rule, matches) {
+  const language = getLanguageConfig(rule.language);
+  const media = await fetchMediaDetails(rule.tmdb_id, rule.media_type, language).catch(() => null);
+  const title = media?.title || `TMDB ${rule.media_type} ${rule.tmdb_id}`;
+
+  const payload = {
+    type: 'availability_alert',
+    rule_id: rule.id,
+    tmdb_id: rule.tmdb_id,
+    media_type: rule.media_type,
+    language: rule.language,
+    media,
+    availabilities: matches.map(avail => ({
+      platform: avail.platform,
+      country_code: avail.country_code,
+      country_name: avail.country_name,
+      streaming_type: avail.streaming_type,
+      season_number: avail.season_number,
+      streaming_url: avail.streaming_url,
+      audio: avail.audio,
+      subtitles: avail.subtitles
+    }))
+  };
+  const notification = {
+    subject: `🎬 ${title} est disponible (${language.label})`,
+    text: [
+      `${title} est maintenant disponible :`,
+      '',
+      ...matches.map(avail => `- ${avail.platform} (${avail.country_name}, ${avail.streaming_type})${avail.streaming_url ? ` : ${avail.streaming_url}` : ''}`)
+    ].join('\n'),
+    payload
+  };
+
+  try {
+    await getNotifier(rule.notifier).send(rule.target, notification);
+    await pool.query(
+      `INSERT INTO alert_notifications (rule_id, status, payload) VALUES ($1, 'sent', $2)`,
+      [rule.id, JSON.stringify(payload)]
+    );
+    console.log(`🔔 Alert #${rule.id} sent via ${rule.notifier} for ${rule.media_type} ${rule.tmdb_id}`);
+  } catch (error) {
+    // Réarme la règle : le prochain refresh retentera l'envoi
+    await pool.query('UPDATE alert_rules SET satisfied = false WHERE id = $1', [rule.id]);
+    await pool.query(
+      `INSERT INTO alert_notifications (rule_id, status, error, payload) VALUES ($1, 'failed', $2, $3)`,
+      [rule.id, error.message, JSON.stringify(payload)]
+    );
+    console.error(`❌ Alert #${rule.id} failed via ${rule.notifier}:`, error.message);
+  }
+}
+
+/**
+ * Appelé après chaque refresh réussi d'un titre. Une règle ne déclenche qu'au passage
+ * "non satisfaite" → "satisfaite" ; l'UPDATE conditionnel garantit un seul envoi
+ * même si deux instances évaluent la même règle.
+ */
+async function evaluateAlertRules(tmdbId, mediaType, availabilities) {
+  const rules = await pool.query(
+    'SELECT * FROM alert_rules WHERE tmdb_id = $1 AND media_type = $2 AND active AND confirmed_at IS NOT NULL',
+    [tmdbId, mediaType]
+  );
+
+  for (const rule of rules.rows) {
+    const matches = matchAlertRule(rule, availabilities);
+
+    if (matches.length === 0) {
+      if (rule.satisfied) {
+        await pool.query('UPDATE alert_rules SET satisfied = false WHERE id = $1', [rule.id]);
+      }
+      continue;
+    }
+
+    const claimed = await pool.query(
+      'UPDATE alert_rules SET satisfied = true, last_fired_at = CURRENT_TIMESTAMP WHERE id = $1 AND NOT satisfied RETURNING id',
+      [rule.id]
+    );
+    if (claimed.rows.length > 0) {
+      await sendAlert(rule, matches);
+    }
+  }
+}
+
+// Nouvel appareil anonyme : le token n'est renvoyé qu'une fois
+app.post('/api/devices', cheapRateLimit, async (req, res) => {
+  try {
+    const device = await createDevice(pool);
+    res.status(201).json({ token: device.token, created_at: device.created_at });
+  } catch (error) {
+    console.error('Device creation error:', error);
+    res.status(500).json({ error: 'Failed to create device' });
+  }
+});
+
+app.get('/api/watchlist', requireDeviceToken, async (req, res) => {
+  try {
+    const language = getRequestLanguage(req, res);
+    if (!language) return;
+
+    const result = await pool.query(
+      'SELECT tmdb_id, media_type, created_at FROM watchlist_items WHERE device_id = $1 ORDER BY created_at DESC',
+      [req.device.id]
+    );
+
+    const items = await Promise.all(result.rows.map(async (item) => ({
+      ...item,
+      media: await fetchMediaDetails(item.tmdb_id, item.media_type, language).catch(() => null)
+    })));
+
+    res.json({ items });
+  } catch (error) {
+    console.error('Watchlist error:', error);
+    res.status(500).json({ error: 'Failed to fetch watchlist' });
+  }
+});
+
+app.post('/api/watchlist', requireDeviceToken, async (req, res) => {
+  try {
+    const tmdbId = parseInt(req.body.tmdb_id);
+    const mediaType = req.body.media_type;
+
+    if (!tmdbId || (mediaType !== 'movie' && mediaType !== 'tv')) {
+      return res.status(400).json({ error: 'tmdb_id and media_type ("movie" or "tv") are required' });
+    }
+
+    await pool.query(
+      `INSERT INTO watchlist_items (device_id, tmdb_id, media_type) VALUES ($1, $2, $3)
+       ON CONFLICT (device_id, tmdb_id, media_type) DO NOTHING`,
+      [req.device.id, tmdbId, mediaType]
+    );
+    res.status(201).json({ tmdb_id: tmdbId, media_type: mediaType });
+  } catch (error) {
+    console.error('Watchlist add error:', error);
+    res.status(500).json({ error: 'Failed to add to watchlist' });
+  }
+});
+
+app.delete('/api/watchlist/:type/:id', requireDeviceToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM watchlist_items WHERE device_id = $1 AND tmdb_id = $2 AND media_type = $3',
+      [req.device.id, parseInt(req.params.id), req.params.type]
+    );
+    res.json({ removed: result.rowCount > 0 });
+  } catch (error) {
+    console.error('Watchlist remove error:', error);
+    res.status(500).json({ error: 'Failed to remove from watchlist' });
+  }
+});
+
+app.get('/api/alerts', requireDeviceToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${ALERT_COLUMNS} FROM alert_rules WHERE device_id = $1 ORDER BY created_at DESC`,
+      [req.device.id]
+    );
+    res.json({ alerts: result.rows });
+  } catch (error) {
+    console.error('Alerts error:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+// Ex. { "tmdb_id": 27205, "media_type": "movie", "countries": ["FR", "BE"], "platforms": ["netflix"],
+//       "lang": "fr", "audio_requirement": "audio", "notifier": "email", "target": "me@example.com" }
+app.post('/api/alerts', cheapRateLimit, requireDeviceToken, async (req, res) => {
+  try {
+    const tmdbId = parseInt(req.body.tmdb_id);
+    const mediaType = req.body.media_type;
+    const language = getLanguageConfig(req.body.lang);
+    const audioRequirement = req.body.audio_requirement || 'audio';
+    const notifier = getNotifier(req.body.notifier);
+    const countries = parseListParam(req.body.countries).map(country => country.toUpperCase());
+    const platforms = parsePlatformParam(req.body.platforms);
+
+    if (!tmdbId || (mediaType !== 'movie' && mediaType !== 'tv')) {
+      return res.status(400).json({ error: 'tmdb_id and media_type ("movie" or "tv") are required' });
+    }
+    if (!language) {
+      return res.status(400).json({ error: `Unsupported language. Available: ${Object.keys(LANGUAGES).join(', ')}` });
+    }
+    if (!AUDIO_REQUIREMENTS.includes(audioRequirement)) {
+      return res.status(400).json({ error: `Invalid audio_requirement. Available: ${AUDIO_REQUIREMENTS.join(', ')}` });
+    }
+    if (!notifier) {
+      return res.status(400).json({ error: `Invalid notifier. Available: ${listNotifiers().join(', ')}` });
+    }
+    if (!req.body.target || !notifier.validateTarget(req.body.target)) {
+      return res.status(400).json({ error: `Invalid target for notifier "${req.body.notifier}"` });
+    }
+
+    const rule = {
+      tmdb_id: tmdbId,
+      media_type: mediaType,
+      countries,
+      platforms,
+      language: language.key,
+      audio_requirement: audioRequirement,
+      confirmed_only: req.body.confirmed_only === true
+    };
+
+    // Cible d'un tiers (email) : confirmée si l'appareil l'a déjà confirmée, sinon lien envoyé à la cible
+    // (un seul tant que la confirmation est en attente)
+    let confirmation = null;
+    if (notifier.requiresConfirmation) {
+      const targets = await pool.query(
+        `SELECT target, bool_or(confirmed_at IS NOT NULL) AS confirmed,
+                bool_or(confirmation_token_hash IS NOT NULL) AS awaiting
+         FROM alert_rules WHERE device_id = $1 AND notifier = $2 GROUP BY target`,
+        [req.device.id, req.body.notifier]
+      );
+      const known = targets.rows.find(row => row.target === req.body.target);
+      if (!known && targets.rows.length >= ALERT_CONFIRMED_TARGETS_MAX) {
+        return res.status(400).json({ error: `At most ${ALERT_CONFIRMED_TARGETS_MAX} ${req.body.notifier} targets per device` });
+      }
+      confirmation = known && (known.confirmed || known.awaiting)
+        ? { confirmed: known.confirmed, token: null }
+        : { confirmed: false, token: createConfirmationToken() };
+    }
+
+    // Déjà disponible : la règle part "satisfaite", elle ne se déclenchera qu'après un retrait puis un retour
+    const currentMatches = matchAlertRule(rule, await loadCachedAvailabilities(tmdbId, mediaType));
+
+    const result = await pool.query(
+      `INSERT INTO alert_rules
+       (device_id, tmdb_id, media_type, countries, platforms, language, audio_requirement, confirmed_only, notifier, target, satisfied,
+        confirmed_at, confirmation_token_hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CASE WHEN $12 THEN CURRENT_TIMESTAMP END, $13)
+       RETURNING ${ALERT_COLUMNS}`,
+      [req.device.id, tmdbId, mediaType, countries, platforms, language.key, audioRequirement, rule.confirmed_only,
+       req.body.notifier, req.body.target, currentMatches.length > 0,
+       !confirmation || confirmation.confirmed, confirmation?.token?.hash || null]
+    );
+
+    if (confirmation?.token) {
+      try {
+        await sendTargetConfirmation(req, notifier, req.body.target, confirmation.token.token);
+      } catch (error) {
+        await pool.query('DELETE FROM alert_rules WHERE id = $1', [result.rows[0].id]);
+        console.error(`❌ Confirmation via ${req.body.notifier} failed:`, error.message);
+        return res.status(502).json({ error: `Could not send the confirmation to ${req.body.target}` });
+      }
+    }
+
+    await pool.query(
+      `INSERT INTO watchlist_items (device_id, tmdb_id, media_type) VALUES ($1, $2, $3)
+       ON CONFLICT (device_id, tmdb_id, media_type) DO NOTHING`,
+      [req.device.id, tmdbId, mediaType]
+    );
+
+    // Titre jamais vu : la file de refresh ira le chercher
+    const refreshedAt = await getCacheRefreshedAt(tmdbId, mediaType);
+    if (!refreshedAt) {
+      enqueueRefresh(tmdbId, mediaType).catch(err => console.error('Enqueue refresh error:', err.message));
+    }
+
+    res.status(201).json({
+      alert: result.rows[0],
+      currently_available: currentMatches.length > 0,
+      confirmation_required: !result.rows[0].confirmed_at
+    });
+  } catch (error) {
+    console.error('Alert creation error:', error);
+    res.status(500).json({ error: 'Failed to create alert' });
+  }
+});
+
+// Lien envoyé à une cible à confirmer (PUBLIC_BASE_URL, sinon l'hôte de la requête)
+async function sendTargetConfirmation(req, notifier, target, token) {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const link = `${baseUrl.replace(/\/$/, '')}/api/alerts/confirm?token=${encodeURIComponent(token)}`;
+  await notifier.send(target, {
+    subject: '🎬 Confirmez vos alertes de disponibilité',
+    text: [
+      'Une alerte de disponibilité a été créée pour cette adresse.',
+      `Pour la recevoir, confirmez : ${link}`,
+      '',
+      "Si vous n'êtes pas à l'origine de cette demande, ignorez ce message : rien ne vous sera envoyé."
+    ].join('\n'),
+    payload: { type: 'alert_confirmation', confirm_url: link }
+  });
+}
+
+// Lien de confirmation : active toutes les alertes de l'appareil vers cette cible
+app.get('/api/alerts/confirm', cheapRateLimit, async (req, res) => {
+  try {
+    if (typeof req.query.token !== 'string' || !req.query.token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    const result = await pool.query(
+      `UPDATE alert_rules r SET confirmed_at = CURRENT_TIMESTAMP, confirmation_token_hash = NULL
+       FROM (SELECT device_id, notifier, target FROM alert_rules WHERE confirmation_token_hash = $1) t
+       WHERE r.device_id = t.device_id AND r.notifier = t.notifier AND r.target = t.target AND r.confirmed_at IS NULL
+       RETURNING r.id`,
+      [hashToken(req.query.token)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Unknown or already used confirmation token' });
+    }
+
+    console.log(`✉️ ${result.rows.length} alert(s) confirmed`);
+    res.json({ confirmed: result.rows.map(row => row.id) });
+  } catch (error) {
+    console.error('Alert confirmation error:', error);
+    res.status(500).json({ error: 'Failed to confirm alert' });
+  }
+});
+
+app.delete('/api/alerts/:id', requireDeviceToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM alert_rules WHERE id = $1 AND device_id = $2',
+      [parseInt(req.params.id), req.device.id]
+    );
+    res.json({ removed: result.rowCount > 0 });
+  } catch (error) {
+    console.error('Alert removal error:', error);
+    res.status(500).json({ error: 'Failed to remove alert' });
+  }
+});
+
+// ============================================
+// PLATFORMS (catalogue + admin)
+// ============================================
+const PLATFORM_FIELDS = ['name', 'logo_url', 'homepage_url', 'countries'];
+
+function validateAlias(alias) {
+  const matchType = alias.match_type || 'exact';
+  if (!UPSTREAMS.includes(alias.upstream)) {
+    return `Invalid upstream. Available: ${UPSTREAMS.join(', ')}`;
+  }
+  if (!alias.value || typeof alias.value !== 'string') {
+    return 'Alias value is required';
+  }
+  if (matchType !== 'exact' && matchType !== 'pattern') {
+    return 'match_type must be "exact" or "pattern"';
+  }
+  if (matchType === 'pattern') {
+    if (alias.upstream !== 'name') return 'Patterns are only allowed for upstream "name"';
+    try {
+      new RegExp(alias.value, 'i');
+    } catch (error) {
+      return `Invalid pattern: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+async function insertAliases(client, platformId, aliases) {
+  if (aliases.length === 0) return;
+  await client.query(
+    `INSERT INTO platform_aliases (platform_id, upstream, match_type, value)
+     SELECT $1::text, t.upstream, t.match_type, t.value
+     FROM unnest($2::text[], $3::text[], $4::text[]) AS t(upstream, match_type, value)`,
+    [platformId, aliases.map(alias => alias.upstream), aliases.map(alias => alias.match_type || 'exact'),
+     aliases.map(alias => String(alias.value))]
+  );
+}
+
+// Les règles d'addons et les modèles de liens référencent les plateformes par nom : rechargés avec le catalogue
+async function reloadPlatforms() {
+  const count = await loadPlatforms(pool);
+  await Promise.all([loadAddonRules(pool), loadLinkTemplates(pool)]);
+  return count;
+}
+
+// Erreur Postgres de contrainte d'unicité (id, nom ou alias déjà pris)
+const isUniqueViolation = (error) => error.code === '23505';
+
+// Liste pour le frontend : ?country=FR garde les plateformes disponibles (ou non renseignées) dans ce pays
+app.get('/api/platforms', (req, res) => {
+  const country = req.query.country ? String(req.query.country).toUpperCase() : null;
+  const platforms = listPlatforms()
+    .filter(platform => !country || platform.countries.length === 0 || platform.countries.includes(country));
+  res.json({ platforms });
+});
+
+app.get('/api/platforms/:id', async (req, res) => {
+  try {
+    const platform = await pool.query(
+      'SELECT id, name, logo_url, homepage_url, countries, created_at, updated_at FROM platforms WHERE id = $1',
+      [req.params.id]
+    );
+    if (platform.rows.length === 0) {
+      return res.status(404).json({ error: 'Platform not found' });
+    }
+
+    const [aliases, linkTemplates] = await Promise.all([
+      pool.query(
+        'SELECT id, upstream, match_type, value FROM platform_aliases WHERE platform_id = $1 ORDER BY upstream, id',
+        [req.params.id]
+      ),
+      pool.query(
+        'SELECT id, kind, country_code, template FROM platform_link_templates WHERE platform_id = $1 ORDER BY kind, country_code NULLS FIRST',
+        [req.params.id]
+      )
+    ]);
+    res.json({ platform: { ...platform.rows[0], aliases: aliases.rows, link_templates: linkTemplates.rows } });
+  } catch (error) {
+    console.error('Platform error:', error);
+    res.status(500).json({ error: 'Failed to fetch platform' });
+  }
+});
+
+// Ex. { "id": "universal-plus", "name": "Universal+", "countries": ["FR"],
+//       "aliases": [{ "upstream": "name", "value": "Universal+ Amazon Channel" }, { "upstream": "tmdb", "value": "2188" }] }
+app.post('/api/platforms', requireAdmin, async (req, res) => {
+  const { id, name, logo_url, homepage_url } = req.body;
+  const aliases = Array.isArray(req.body.aliases) ? req.body.aliases : [];
+
+  if (!id || !/^[a-z0-9-]+$/.test(id)) {
+    return res.status(400).json({ error: 'id is required (lowercase letters, digits and dashes)' });
+  }
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  const aliasError = aliases.map(validateAlias).find(Boolean);
+  if (aliasError) {
+    return res.status(400).json({ error: aliasError });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `INSERT INTO platforms (id, name, logo_url, homepage_url, countries) VALUES ($1, $2, $3, $4, $5)`,
+      [id, name, logo_url || null, homepage_url || null, parseListParam(req.body.countries).map(country => country.toUpperCase())]
+    );
+    await insertAliases(client, id, aliases);
+    await client.query('COMMIT');
+
+    await reloadPlatforms();
+    console.log(`🏷️ Platform "${name}" (${id}) created`);
+    res.status(201).json({ platform: listPlatforms().find(platform => platform.id === id) });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: `Platform id, name or alias already exists (${error.detail})` });
+    }
+    console.error('Platform creation error:', error);
+    res.status(500).json({ error: 'Failed to create platform' });
+  } finally {
+    client.release();
+  }
+});
+
+// Renommer une plateforme renomme aussi les disponibilités en cache et les filtres plateformes
+// enregistrés (alertes, webhooks : noms en minuscules, voir parsePlatformParam)
+app.patch('/api/platforms/:id', requireAdmin, async (req, res) => {
+  const updates = PLATFORM_FIELDS.filter(field => req.body[field] !== undefined);
+  if (updates.length === 0) {
+    return res.status(400).json({ error: `Nothing to update. Fields: ${PLATFORM_FIELDS.join(', ')}` });
+  }
+  if (updates.includes('name') && !req.body.name) {
+    return res.status(400).json({ error: 'name cannot be empty' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT name FROM platforms WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Platform not found' });
+    }
+
+    const values = updates.map(field => field === 'countries'
+      ? parseListParam(req.body.countries).map(country => country.toUpperCase())
+      : req.body[field] || null);
+    const result = await client.query(
+      `UPDATE platforms SET ${updates.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, name, logo_url, homepage_url, countries`,
+      [req.params.id, ...values]
+    );
+
+    const oldName = current.rows[0].name;
+    const newName = result.rows[0].name;
+    if (newName !== oldName) {
+      // Lignes déjà en cache sous le nouveau nom (alias résolus avant le renommage) : on garde celles-ci
+      await client.query(
+        `DELETE FROM availabilities old
+         USING availabilities kept
+         WHERE old.platform = $1 AND kept.platform = $2
+           AND kept.tmdb_id = old.tmdb_id AND kept.media_type = old.media_type
+           AND kept.country_code = old.country_code AND kept.streaming_type = old.streaming_type
+           AND kept.addon_name IS NOT DISTINCT FROM old.addon_name
+           AND kept.quality IS NOT DISTINCT FROM old.quality
+           AND kept.season_number IS NOT DISTINCT FROM old.season_number`,
+        [oldName, newName]
+      );
+      await client.query('UPDATE availabilities SET platform = $2 WHERE platform = $1', [oldName, newName]);
+
+      for (const table of ['alert_rules', 'webhook_subscriptions']) {
+        await client.query(
+          `UPDATE ${table}
+           SET platforms = ARRAY(SELECT DISTINCT name FROM unnest(array_replace(platforms, $1, $2)) AS name)
+           WHERE $1 = ANY(platforms)`,
+          [oldName.toLowerCase(), newName.toLowerCase()]
+        );
+      }
+    }
+    await client.query('COMMIT');
+
+    await reloadPlatforms();
+    res.json({ platform: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: `Platform name already exists (${error.detail})` });
+    }
+    console.error('Platform update error:', error);
+    res.status(500).json({ error: 'Failed to update platform' });
+  } finally {
+    client.release();
+  }
+});
+
+// Les disponibilités en cache gardent leur nom ; elles ne seront plus résolues vers cette plateforme
+app.delete('/api/platforms/:id', requireAdmin, requireConfirmation('delete-platform'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM platforms WHERE id = $1', [req.params.id]);
+    await reloadPlatforms();
+    res.json({ removed: result.rowCount > 0 });
+  } catch (error) {
+    console.error('Platform removal error:', error);
+    res.status(500).json({ error: 'Failed to remove platform' });
+  }
+});
+
+app.post('/api/platforms/:id/aliases', requireAdmin, async (req, res) => {
+  const aliasError = validateAlias(req.body);
+  if (aliasError) {
+    return res.status(400).json({ error: aliasError });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO platform_aliases (platform_id, upstream, match_type, value)
+       SELECT id, $2::text, $3::text, $4::text FROM platforms WHERE id = $1
+       RETURNING id, upstream, match_type, value`,
+      [req.params.id, req.body.upstream, req.body.match_type || 'exact', String(req.body.value)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Platform not found' });
+    }
+
+    await reloadPlatforms();
+    res.status(201).json({ alias: result.rows[0] });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: `Alias already exists (${error.detail})` });
+    }
+    console.error('Platform alias creation error:', error);
+    res.status(500).json({ error: 'Failed to create platform alias' });
+  }
+});
+
+// Remplace les modèles de liens d'une plateforme (voir src/links.js), ex.
+// { "templates": [{ "kind": "search", "template": "https://tv.apple.com/{country}/search?term={title}" },
+//                 { "kind": "search", "country_code": "FR", "template": "https://www.canalplus.com/recherche/?q={title}" }] }
+// Les disponibilités déjà en cache gardent leur lien jusqu'au prochain refresh.
+app.put('/api/platforms/:id/link-templates', requireAdmin, async (req, res) => {
+  const templates = Array.isArray(req.body.templates) ? req.body.templates : null;
+  if (!templates) {
+    return res.status(400).json({ error: '"templates" (array) is required' });
+  }
+  const templateError = templates.map(validateLinkTemplate).find(Boolean);
+  if (templateError) {
+    return res.status(400).json({ error: templateError });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const platform = await client.query('SELECT id FROM platforms WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (platform.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Platform not found' });
+    }
+
+    await client.query('DELETE FROM platform_link_templates WHERE platform_id = $1', [req.params.id]);
+    const result = await client.query(
+      `INSERT INTO platform_link_templates (platform_id, kind, country_code, template)
+       SELECT $1::text, t.kind, t.country_code, t.template
+       FROM unnest($2::text[], $3::text[], $4::text[]) AS t(kind, country_code, template)
+       RETURNING id, kind, country_code, template`,
+      [req.params.id, templates.map(t => t.kind), templates.map(t => t.country_code ? String(t.country_code).toUpperCase() : null),
+       templates.map(t => t.template)]
+    );
+    await client.query('COMMIT');
+
+    await loadLinkTemplates(pool);
+    res.json({ link_templates: result.rows });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'Only one template per kind and country' });
+    }
+    console.error('Link templates update error:', error);
+    res.status(500).json({ error: 'Failed to update link templates' });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/platforms/:id/aliases/:aliasId', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM platform_aliases WHERE id = $1 AND platform_id = $2',
+      [parseInt(req.params.aliasId), req.params.id]
+    );
+    await reloadPlatforms();
+    res.json({ removed: result.rowCount > 0 });
+  } catch (error) {
+    console.error('Platform alias removal error:', error);
+    res.status(500).json({ error: 'Failed to remove platform alias' });
+  }
+});
+
+// ============================================
+// ADDON RULES (admin)
+// ============================================
+// Chaînes vendues via une plateforme hôte (voir src/addons.js)
+const ADDON_RULE_FIELDS = ['host_platform_id', 'country_code', 'pattern', 'action', 'target_platform_id', 'priority'];
+const ADDON_RULE_COLUMNS = 'id, host_platform_id, country_code, pattern, action, target_platform_id, priority, created_at, updated_at';
+
+function validateAddonRule(rule) {
+  if (!ADDON_ACTIONS.includes(rule.action)) {
+    return `action must be one of: ${ADDON_ACTIONS.join(', ')}`;
   }
-  
-  // Add TMDB data only if not already present
-  for (const avail of tmdbAvailabilities) {
-    const key = `${avail.country_code}-${avail.platform}-${avail.streaming_type}-${avail.season_number || 'null'}`;
-    if (!merged.has(key)) {
-      merged.set(key, avail);
-    }
+  if ((rule.action === 'map') !== !!rule.target_platform_id) {
+    return 'target_platform_id is required for "map" and only allowed for "map"';
   }
-  
-  const mergedAvailabilities = Array.from(merged.values());
-  
-  // Déduplique les plateformes
-  const finalAvailabilities = deduplicatePlatforms(mergedAvailabilities);
-  console.log(`✅ Final merged: ${finalAvailabilities.length} availabilities (after deduplication)`);
-  
-  return finalAvailabilities;
-}
-
-// Cache availabilities to database
-async function cacheAvailabilities(tmdbId, availabilities, mediaType) {
-  // Delete old cache
-  await pool.query('DELETE FROM availabilities WHERE tmdb_id = $1 AND media_type = $2', [tmdbId, mediaType]);
-  
-  for (const avail of availabilities) {
+  if (rule.pattern) {
     try {
-      await pool.query(
-        `INSERT INTO availabilities 
-        (tmdb_id, media_type, platform, country_code, country_name, streaming_type, addon_name, season_number, has_french_audio, has_french_subtitles, streaming_url, quality, updated_at)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP)
-        ON CONFLICT (tmdb_id, media_type, platform, country_code, streaming_type, addon_name, quality, season_number) 
-        DO UPDATE SET 
-          has_french_audio = $9,
-          has_french_subtitles = $10,
-          streaming_url = $11,
-          updated_at = CURRENT_TIMESTAMP`,
-        [tmdbId, mediaType, avail.platform, avail.country_code, avail.country_name, avail.streaming_type, 
-         avail.addon_name, avail.season_number, avail.has_french_audio, avail.has_french_subtitles, 
-         avail.streaming_url, avail.quality]
-      );
-    } catch (dbError) {
-      console.error('Database insert error:', dbError.message);
+      new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      return `Invalid pattern: ${error.message}`;
     }
   }
-  
-  console.log(`✅ Cached ${availabilities.length} availabilities for TMDB ID ${tmdbId}`);
+  if (rule.priority !== undefined && rule.priority !== null && !Number.isInteger(rule.priority)) {
+    return 'priority must be an integer';
+  }
+  return null;
 }
 
-// ============================================
-// ROUTES
-// ============================================
+const addonRuleValues = (rule) => [
+  rule.host_platform_id || null,
+  rule.country_code ? String(rule.country_code).toUpperCase() : null,
+  rule.pattern || null,
+  rule.action,
+  rule.target_platform_id || null,
+  rule.priority || 0
+];
 
-// Search movies AND TV series
-app.get('/api/search', async (req, res) => {
-  try {
-    const { query } = req.query;
+// Erreur Postgres de clé étrangère (plateforme inconnue)
+const isForeignKeyViolation = (error) => error.code === '23503';
 
-    if (!query || query.trim().length < 2) {
-      return res.json({ results: [] });
+// ?host=amazon-prime&country=FR
+app.get('/api/addon-rules', requireAdmin, async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+    if (req.query.host) {
+      params.push(String(req.query.host));
+      conditions.push(`host_platform_id = $${params.length}`);
     }
+    if (req.query.country) {
+      params.push(String(req.query.country).toUpperCase());
+      conditions.push(`(country_code = $${params.length} OR country_code IS NULL)`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
-    const searchResponse = await tmdbClient.get('/search/multi', {
-      params: { query }
-    });
-
-    const results = await Promise.all(
-      searchResponse.data.results
-        .filter(item => item.media_type === 'movie' || item.media_type === 'tv')
-        .slice(0, 10)
-        .map(async (item) => {
-          const isMovie = item.media_type === 'movie';
-          const tmdbId = item.id;
-          
-          const countResult = await pool.query(
-            'SELECT COUNT(DISTINCT country_code) as count FROM availabilities WHERE tmdb_id = $1 AND media_type = $2',
-            [tmdbId, item.media_type]
-          );
-
-          return {
-            tmdb_id: tmdbId,
-            media_type: item.media_type,
-            title: isMovie ? item.title : item.name,
-            original_title: isMovie ? item.original_title : item.original_name,
-            year: isMovie 
-              ? (item.release_date ? new Date(item.release_date).getFullYear() : null)
-              : (item.first_air_date ? new Date(item.first_air_date).getFullYear() : null),
-            poster: item.poster_path ? `https://image.tmdb.org/t/p/w200${item.poster_path}` : null,
-            vote_average: item.vote_average,
-            availability_count: parseInt(countResult.rows[0].count) || 0
-          };
-        })
+    const result = await pool.query(
+      `SELECT ${ADDON_RULE_COLUMNS} FROM addon_rules ${where}
+       ORDER BY host_platform_id NULLS LAST, country_code NULLS LAST, pattern NULLS LAST, priority DESC, id`,
+      params
     );
-
-    res.json({ results });
+    res.json({ rules: result.rows });
   } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ error: 'Search failed' });
+    console.error('Addon rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch addon rules' });
   }
 });
 
-// Get list of genres
-app.get('/api/genres', async (req, res) => {
+// Ex. { "host_platform_id": "amazon-prime", "country_code": "FR", "pattern": "^cin[eé]\\+ ocs",
+//       "action": "map", "target_platform_id": "ocs" } ; sans pattern = règle par défaut de l'hôte
+app.post('/api/addon-rules', requireAdmin, async (req, res) => {
+  const ruleError = validateAddonRule(req.body);
+  if (ruleError) {
+    return res.status(400).json({ error: ruleError });
+  }
+
   try {
-    const { type = 'movie' } = req.query;
-    const endpoint = type === 'tv' ? '/genre/tv/list' : '/genre/movie/list';
-    const response = await tmdbClient.get(endpoint);
-    res.json({ genres: response.data.genres });
+    const result = await pool.query(
+      `INSERT INTO addon_rules (host_platform_id, country_code, pattern, action, target_platform_id, priority)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${ADDON_RULE_COLUMNS}`,
+      addonRuleValues(req.body)
+    );
+
+    await loadAddonRules(pool);
+    console.log(`🧩 Addon rule #${result.rows[0].id} created (${req.body.action})`);
+    res.status(201).json({ rule: result.rows[0] });
   } catch (error) {
-    console.error('Genres error:', error);
-    res.status(500).json({ error: 'Failed to fetch genres' });
+    if (isForeignKeyViolation(error)) {
+      return res.status(400).json({ error: `Unknown platform (${error.detail})` });
+    }
+    console.error('Addon rule creation error:', error);
+    res.status(500).json({ error: 'Failed to create addon rule' });
   }
 });
 
-// Discover movies and TV series
-app.get('/api/discover', async (req, res) => {
+app.patch('/api/addon-rules/:id', requireAdmin, async (req, res) => {
+  const updates = ADDON_RULE_FIELDS.filter(field => req.body[field] !== undefined);
+  if (updates.length === 0) {
+    return res.status(400).json({ error: `Nothing to update. Fields: ${ADDON_RULE_FIELDS.join(', ')}` });
+  }
+
   try {
-    const { 
-      type = 'movie',
-      genre,
-      with_genres,
-      year,
-      primary_release_year,
-      first_air_date_year,
-      sort = 'popularity',
-      sort_by,
-      page = 1 
-    } = req.query;
+    const current = await pool.query(`SELECT ${ADDON_RULE_COLUMNS} FROM addon_rules WHERE id = $1`, [parseInt(req.params.id)]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Addon rule not found' });
+    }
 
-    const mediaType = type === 'tv' ? 'tv' : 'movie';
-    const endpoint = `/discover/${mediaType}`;
+    // La règle est validée dans son ensemble (ex. passer de map à keep retire la cible)
+    const rule = { ...current.rows[0], ...req.body };
+    if (rule.action !== 'map' && req.body.target_platform_id === undefined) rule.target_platform_id = null;
+    const ruleError = validateAddonRule(rule);
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
 
-    const params = {
-      page: parseInt(page),
-      'vote_count.gte': 100,
-    };
+    const result = await pool.query(
+      `UPDATE addon_rules
+       SET host_platform_id = $2, country_code = $3, pattern = $4, action = $5, target_platform_id = $6, priority = $7,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${ADDON_RULE_COLUMNS}`,
+      [parseInt(req.params.id), ...addonRuleValues(rule)]
+    );
 
-    // Handle genre parameter
-    const genreFilter = genre || with_genres;
-    if (genreFilter) {
-      params.with_genres = genreFilter;
+    await loadAddonRules(pool);
+    res.json({ rule: result.rows[0] });
+  } catch (error) {
+    if (isForeignKeyViolation(error)) {
+      return res.status(400).json({ error: `Unknown platform (${error.detail})` });
     }
+    console.error('Addon rule update error:', error);
+    res.status(500).json({ error: 'Failed to update addon rule' });
+  }
+});
 
-    // Handle year parameter
-    const yearFilter = year || primary_release_year || first_air_date_year;
-    if (yearFilter) {
-      if (mediaType === 'movie') {
-        params.primary_release_year = yearFilter;
-      } else {
-        params.first_air_date_year = yearFilter;
-      }
-    }
+app.delete('/api/addon-rules/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM addon_rules WHERE id = $1', [parseInt(req.params.id)]);
+    await loadAddonRules(pool);
+    res.json({ removed: result.rowCount > 0 });
+  } catch (error) {
+    console.error('Addon rule removal error:', error);
+    res.status(500).json({ error: 'Failed to remove addon rule' });
+  }
+});
 
-    // Handle sort parameter
-    const sortValue = (sort || sort_by || 'popularity').split('.')[0];
-    const sortMap = {
-      'popularity': 'popularity.desc',
-      'vote_average': 'vote_average.desc',
-      'release_date': mediaType === 'movie' ? 'primary_release_date.desc' : 'first_air_date.desc',
-      'title': mediaType === 'movie' ? 'title.asc' : 'name.asc'
-    };
-    params.sort_by = sortMap[sortValue] || 'popularity.desc';
+// Addons vus récemment sans règle spécifique : ?days=7&host=Prime Video&country=FR
+// current_action = ce qui leur arrive aujourd'hui (règle par défaut de l'hôte, sinon keep)
+app.get('/api/addon-rules/unmapped', requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const host = req.query.host ? (findPlatform(req.query.host)?.name || String(req.query.host)) : null;
+
+    const params = [days];
+    const conditions = [`last_seen_at > NOW() - make_interval(days => $1::int)`];
+    if (host) {
+      params.push(host);
+      conditions.push(`host_platform = $${params.length}`);
+    }
+    if (req.query.country) {
+      params.push(String(req.query.country).toUpperCase());
+      conditions.push(`country_code = $${params.length}`);
+    }
 
-    const response = await tmdbClient.get(endpoint, { params });
+    const result = await pool.query(
+      `SELECT host_platform, country_code, addon_name, occurrences, last_tmdb_id, last_media_type, first_seen_at, last_seen_at
+       FROM unmapped_addons
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY occurrences DESC, last_seen_at DESC
+       LIMIT 500`,
+      params
+    );
 
-    const results = response.data.results.slice(0, 20).map(item => {
-      const isMovie = mediaType === 'movie';
-      return {
-        tmdb_id: item.id,
-        media_type: mediaType,
-        title: isMovie ? item.title : item.name,
-        original_title: isMovie ? item.original_title : item.original_name,
-        year: isMovie 
-          ? (item.release_date ? new Date(item.release_date).getFullYear() : null)
-          : (item.first_air_date ? new Date(item.first_air_date).getFullYear() : null),
-        poster: item.poster_path ? `https://image.tmdb.org/t/p/w342${item.poster_path}` : null,
-        backdrop: item.backdrop_path ? `https://image.tmdb.org/t/p/w780${item.backdrop_path}` : null,
-        vote_average: item.vote_average,
-        overview: item.overview,
-        genre_ids: item.genre_ids
-      };
-    });
+    // Une règle ajoutée depuis la dernière observation suffit à sortir l'addon du rapport
+    const addons = result.rows
+      .map(row => ({ ...row, rule: findAddonRule(row.host_platform, row.country_code, row.addon_name) }))
+      .filter(row => !row.rule || !row.rule.pattern)
+      .map(({ rule, ...row }) => ({ ...row, current_action: rule ? rule.action : 'keep', default_rule_id: rule ? rule.id : null }));
 
-    res.json({ 
-      results,
-      page: response.data.page,
-      total_pages: Math.min(response.data.total_pages, 500),
-      total_results: response.data.total_results
-    });
+    res.json({ days, total: addons.length, addons });
   } catch (error) {
-    console.error('Discover error:', error);
-    res.status(500).json({ error: 'Discover failed' });
+    console.error('Unmapped addons error:', error);
+    res.status(500).json({ error: 'Failed to fetch unmapped addons' });
   }
 });
 
-// Get trending
-app.get('/api/trending', async (req, res) => {
+// ============================================
+// EXCHANGE RATES
+// ============================================
+// 1 unité de currency = rate_to_eur EUR (voir src/exchange-rates.js)
+app.get('/api/exchange-rates', async (req, res) => {
   try {
-    const { type = 'all', time = 'week' } = req.query;
-    
-    const mediaType = ['movie', 'tv', 'all'].includes(type) ? type : 'all';
-    const timeWindow = time === 'day' ? 'day' : 'week';
+    const result = await pool.query('SELECT currency, rate_to_eur, source, updated_at FROM exchange_rates ORDER BY currency');
+    res.json({ rates: result.rows.map(row => ({ ...row, rate_to_eur: parseFloat(row.rate_to_eur) })) });
+  } catch (error) {
+    console.error('Exchange rates error:', error);
+    res.status(500).json({ error: 'Failed to fetch exchange rates' });
+  }
+});
 
-    const response = await tmdbClient.get(`/trending/${mediaType}/${timeWindow}`);
+// Ex. { "rates": { "USD": 0.92, "GBP": 1.17 } }
+app.put('/api/exchange-rates', requireAdmin, async (req, res) => {
+  const rates = req.body.rates && typeof req.body.rates === 'object' ? req.body.rates : null;
+  if (!rates || Object.keys(rates).length === 0) {
+    return res.status(400).json({ error: '"rates" is required, e.g. { "USD": 0.92 }' });
+  }
+  const invalid = Object.entries(rates).find(([currency, rate]) => !/^[A-Za-z]{3}$/.test(currency) || typeof rate !== 'number' || !(rate > 0));
+  if (invalid) {
+    return res.status(400).json({ error: `Invalid rate for "${invalid[0]}": expected a 3-letter currency and a positive number` });
+  }
 
-    const results = response.data.results
-      .filter(item => item.media_type === 'movie' || item.media_type === 'tv')
-      .slice(0, 20)
-      .map(item => {
-        const isMovie = item.media_type === 'movie';
-        return {
-          tmdb_id: item.id,
-          media_type: item.media_type,
-          title: isMovie ? item.title : item.name,
-          original_title: isMovie ? item.original_title : item.original_name,
-          year: isMovie 
-            ? (item.release_date ? new Date(item.release_date).getFullYear() : null)
-            : (item.first_air_date ? new Date(item.first_air_date).getFullYear() : null),
-          poster: item.poster_path ? `https://image.tmdb.org/t/p/w342${item.poster_path}` : null,
-          backdrop: item.backdrop_path ? `https://image.tmdb.org/t/p/w780${item.backdrop_path}` : null,
-          vote_average: item.vote_average,
-          overview: item.overview,
-          genre_ids: item.genre_ids
-        };
-      });
+  try {
+    const saved = await saveExchangeRates(pool, rates, 'manual');
+    await loadExchangeRates(pool);
+    res.json({ updated: saved });
+  } catch (error) {
+    console.error('Exchange rates update error:', error);
+    res.status(500).json({ error: 'Failed to update exchange rates' });
+  }
+});
 
-    res.json({ results });
+// Import des taux de référence BCE (même chose que "node cli.js rates update")
+app.post('/api/exchange-rates/refresh', requireAdmin, async (req, res) => {
+  try {
+    const saved = await saveExchangeRates(pool, await fetchEcbRates(), 'ecb');
+    await loadExchangeRates(pool);
+    console.log(`💱 ${saved} exchange rates imported from the ECB`);
+    res.json({ updated: saved, source: 'ecb' });
   } catch (error) {
-    console.error('Trending error:', error);
-    res.status(500).json({ error: 'Trending failed' });
+    console.error('Exchange rates refresh error:', error.message);
+    res.status(502).json({ error: 'Failed to import ECB exchange rates' });
   }
 });
 
 // ============================================
-// MAIN AVAILABILITY ENDPOINT
+// OUTGOING WEBHOOKS (admin)
 // ============================================
-app.get('/api/media/:type/:id/availability', async (req, res) => {
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'processing', 'delivered', 'failed'];
+const WEBHOOK_SUBSCRIPTION_COLUMNS = 'id, url, description, platforms, countries, media_types, active, created_at';
+
+// Ex. { "url": "https://partner.example/hooks/vf", "platforms": ["netflix"], "countries": ["FR", "BE"],
+//       "media_types": ["movie"] } ; secret généré si absent, renvoyé une seule fois
+app.post('/api/webhooks', requireAdmin, async (req, res) => {
   try {
-    const tmdb_id = parseInt(req.params.id);
-    const mediaType = req.params.type;
-    const forceRefresh = req.query.refresh === 'true';
+    const { url, description } = req.body;
+    const mediaTypes = parseListParam(req.body.media_types);
 
-    if (mediaType !== 'movie' && mediaType !== 'tv') {
-      return res.status(400).json({ error: 'Invalid media type. Must be "movie" or "tv"' });
+    try {
+      await assertPublicUrl(url);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid url: ${error.message}` });
+    }
+    if (mediaTypes.some(type => type !== 'movie' && type !== 'tv')) {
+      return res.status(400).json({ error: 'media_types must only contain "movie" or "tv"' });
     }
 
-    // Get media details from TMDB
-    const endpoint = mediaType === 'movie' ? `/movie/${tmdb_id}` : `/tv/${tmdb_id}`;
-    const mediaResponse = await tmdbClient.get(endpoint);
-    const mediaDetails = mediaResponse.data;
-
-    const mediaInfo = {
-      media_type: mediaType,
-      title: mediaType === 'movie' ? mediaDetails.title : mediaDetails.name,
-      original_title: mediaType === 'movie' ? mediaDetails.original_title : mediaDetails.original_name,
-      year: mediaType === 'movie'
-        ? (mediaDetails.release_date ? new Date(mediaDetails.release_date).getFullYear() : null)
-        : (mediaDetails.first_air_date ? new Date(mediaDetails.first_air_date).getFullYear() : null),
-      poster: mediaDetails.poster_path ? `https://image.tmdb.org/t/p/w500${mediaDetails.poster_path}` : null,
-      backdrop: mediaDetails.backdrop_path ? `https://image.tmdb.org/t/p/w1280${mediaDetails.backdrop_path}` : null,
-      vote_average: mediaDetails.vote_average,
-      overview: mediaDetails.overview,
-      number_of_seasons: mediaType === 'tv' ? mediaDetails.number_of_seasons : null
-    };
+    const secret = req.body.secret || generateWebhookSecret();
+    const result = await pool.query(
+      `INSERT INTO webhook_subscriptions (url, secret, description, platforms, countries, media_types)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${WEBHOOK_SUBSCRIPTION_COLUMNS}`,
+      [url, secret, description || null, parsePlatformParam(req.body.platforms),
+       parseListParam(req.body.countries).map(country => country.toUpperCase()), mediaTypes]
+    );
 
-    // Check cache
-    if (!forceRefresh) {
-      const cacheCheck = await pool.query(
-        'SELECT updated_at FROM availabilities WHERE tmdb_id = $1 AND media_type = $2 ORDER BY updated_at DESC LIMIT 1',
-        [tmdb_id, mediaType]
-      );
+    res.status(201).json({ subscription: result.rows[0], secret });
+  } catch (error) {
+    console.error('Webhook creation error:', error);
+    res.status(500).json({ error: 'Failed to create webhook subscription' });
+  }
+});
 
-      if (cacheCheck.rows.length > 0) {
-        const cacheAge = Date.now() - new Date(cacheCheck.rows[0].updated_at).getTime();
+app.get('/api/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${WEBHOOK_SUBSCRIPTION_COLUMNS.split(', ').map(column => `s.${column}`).join(', ')},
+         COUNT(d.id) FILTER (WHERE d.status = 'pending') AS pending_deliveries,
+         COUNT(d.id) FILTER (WHERE d.status = 'failed') AS failed_deliveries,
+         MAX(d.delivered_at) AS last_delivered_at
+       FROM webhook_subscriptions s
+       LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+       GROUP BY s.id
+       ORDER BY s.id`
+    );
+    res.json({
+      subscriptions: result.rows.map(row => ({
+        ...row,
+        pending_deliveries: parseInt(row.pending_deliveries),
+        failed_deliveries: parseInt(row.failed_deliveries)
+      }))
+    });
+  } catch (error) {
+    console.error('Webhook list error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook subscriptions' });
+  }
+});
 
-        if (cacheAge < CACHE_DURATION) {
-          console.log(`✅ Using cached data (${Math.round(cacheAge / (1000 * 60 * 60))} hours old)`);
+// Active / désactive un abonnement sans perdre son journal de livraisons
+app.patch('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    if (typeof req.body.active !== 'boolean') {
+      return res.status(400).json({ error: '"active" (boolean) is required' });
+    }
 
-          const cached = await pool.query(
-            'SELECT * FROM availabilities WHERE tmdb_id = $1 AND media_type = $2',
-            [tmdb_id, mediaType]
-          );
+    const result = await pool.query(
+      `UPDATE webhook_subscriptions SET active = $2 WHERE id = $1 RETURNING ${WEBHOOK_SUBSCRIPTION_COLUMNS}`,
+      [parseInt(req.params.id), req.body.active]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    res.json({ subscription: result.rows[0] });
+  } catch (error) {
+    console.error('Webhook update error:', error);
+    res.status(500).json({ error: 'Failed to update webhook subscription' });
+  }
+});
 
-          // Sort with priority countries first
-          const sortedResults = sortByPriorityCountries(cached.rows);
+app.delete('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1', [parseInt(req.params.id)]);
+    res.json({ removed: result.rowCount > 0 });
+  } catch (error) {
+    console.error('Webhook removal error:', error);
+    res.status(500).json({ error: 'Failed to remove webhook subscription' });
+  }
+});
 
-          return res.json({ 
-            availabilities: sortedResults,
-            media: mediaInfo,
-            cached: true,
-            sources: ['cache']
-          });
-        }
+// Journal des livraisons : ?status=failed&subscription_id=1&page=1&per_page=50
+app.get('/api/webhooks/deliveries', requireAdmin, async (req, res) => {
+  try {
+    const { status, subscription_id } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const perPage = Math.min(100, Math.max(1, parseInt(req.query.per_page) || 50));
+
+    const conditions = [];
+    const params = [];
+    if (status) {
+      if (!WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Available: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
       }
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
     }
+    if (subscription_id) {
+      params.push(parseInt(subscription_id));
+      conditions.push(`subscription_id = $${params.length}`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
-    // Fetch fresh data from BOTH sources
-    const availabilities = await fetchAndMergeAvailabilities(tmdb_id, mediaType);
-    
-    // Cache the results
-    await cacheAvailabilities(tmdb_id, availabilities, mediaType);
-
-    // Sort with priority countries first
-    const sortedResults = sortByPriorityCountries(availabilities);
+    const result = await pool.query(
+      `SELECT id, subscription_id, tmdb_id, media_type, status, attempts, last_error, last_status_code,
+              next_attempt_at, delivered_at, created_at, payload,
+              COUNT(*) OVER() AS total
+       FROM webhook_deliveries ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${perPage} OFFSET ${(page - 1) * perPage}`,
+      params
+    );
 
-    res.json({ 
-      availabilities: sortedResults,
-      media: mediaInfo,
-      cached: false,
-      sources: ['streaming-availability', 'tmdb-watch-providers']
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+    res.json({
+      page,
+      per_page: perPage,
+      total,
+      deliveries: result.rows.map(({ total, ...row }) => row)
     });
-
   } catch (error) {
-    console.error('Availability error:', error);
-    res.status(500).json({ error: 'Failed to fetch availability' });
+    console.error('Webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
   }
 });
 
-// Backwards compatibility
-app.get('/api/movie/:id/availability', async (req, res) => {
-  return res.redirect(308, `/api/media/movie/${req.params.id}/availability`);
+// Remet en file les livraisons en échec : { "ids": [12, 13] } ou { "subscription_id": 1 } (toutes ses livraisons en échec)
+app.post('/api/webhooks/deliveries/replay', requireAdmin, async (req, res) => {
+  try {
+    const ids = (Array.isArray(req.body.ids) ? req.body.ids : []).map(id => parseInt(id)).filter(Number.isInteger);
+    const subscriptionId = parseInt(req.body.subscription_id);
+
+    if (ids.length === 0 && !subscriptionId) {
+      return res.status(400).json({ error: '"ids" or "subscription_id" is required' });
+    }
+
+    const result = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, locked_at = NULL
+       WHERE status = 'failed'
+         AND ($1::bigint[] IS NULL OR id = ANY($1::bigint[]))
+         AND ($2::int IS NULL OR subscription_id = $2::int)
+       RETURNING id`,
+      [ids.length > 0 ? ids : null, subscriptionId || null]
+    );
+
+    if (result.rows.length > 0) {
+      setImmediate(() => processWebhookDeliveries(pool));
+    }
+
+    console.log(`🔁 ${result.rows.length} webhook deliveries replayed`);
+    res.json({ replayed: result.rows.map(row => Number(row.id)) });
+  } catch (error) {
+    console.error('Webhook replay error:', error);
+    res.status(500).json({ error: 'Failed to replay webhook deliveries' });
+  }
 });
 
 // ===========================================
 // 🆕 ENDPOINT STATS QUOTA (pour page admin)
 // ===========================================
-app.get('/api/stats/quota', (req, res) => {
-  checkAndResetCounter();
-  
-  const DAILY_LIMIT = 100;
-  const percentage = ((apiRequestCount / DAILY_LIMIT) * 100).toFixed(1);
-  
-  let status = 'ok';
-  if (apiRequestCount >= 90) status = 'critical';
-  else if (apiRequestCount >= 70) status = 'warning';
-  
-  res.json({
-    used: apiRequestCount,
-    remaining: DAILY_LIMIT - apiRequestCount,
-    limit: DAILY_LIMIT,
-    percentage: percentage,
-    status: status,
-    date: lastResetDate
-  });
-  
-  console.log(`📊 Stats API demandées - ${apiRequestCount}/${DAILY_LIMIT} (${percentage}%)`);
+// ?provider=unogs pour le compteur uNoGS (défaut : Streaming Availability)
+app.get('/api/stats/quota', async (req, res) => {
+  try {
+    const provider = req.query.provider || STREAMING_QUOTA;
+    if (typeof provider !== 'string' || !QUOTA_LIMITS[provider]) {
+      return res.status(400).json({ error: `Invalid provider. Must be one of: ${Object.keys(QUOTA_LIMITS).join(', ')}` });
+    }
+
+    const quota = await getQuotaStatus(provider);
+    res.json(quota);
+    console.log(`📊 Stats API demandées - ${provider} ${quota.used}/${quota.limit} (${quota.percentage}%)`);
+  } catch (error) {
+    console.error('Quota stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch quota stats' });
+  }
 });
 
 // ============================================
 // DEBUG ENDPOINTS
 // ============================================
+// Clé avec le rôle "debug" (ou "admin") requise : ces routes appellent l'API payante
 
 // Debug endpoint - shows raw data from both APIs
-app.get('/api/debug/:type/:id', async (req, res) => {
+app.get('/api/debug/:type/:id', requireDebug, costlyRateLimit, async (req, res) => {
   try {
-    const tmdbId = parseInt(req.params.id);
+    const tmdbId = parseTmdbId(req.params.id);
     const mediaType = req.params.type;
+    if (!tmdbId) {
+      return res.status(400).json({ error: 'Invalid TMDB id' });
+    }
+    if (mediaType !== 'movie' && mediaType !== 'tv') {
+      return res.status(400).json({ error: 'Invalid media type. Must be "movie" or "tv"' });
+    }
     
-    const [streamingData, tmdbProviders] = await Promise.all([
-      fetchStreamingAvailability(tmdbId, mediaType),
-      fetchTmdbWatchProviders(tmdbId, mediaType)
-    ]);
-    
+    const providers = getEnabledProviders();
+    const raw = await Promise.all(providers.map(provider => provider.fetch(tmdbId, mediaType)));
+
     res.json({
       tmdbId,
       mediaType,
-      streamingAvailability: {
-        countriesCount: streamingData ? Object.keys(streamingData.streamingOptions || {}).length : 0,
-        services: streamingData?.streamingOptions || {}
-      },
-      tmdbWatchProviders: {
-        countriesCount: Object.keys(tmdbProviders).length,
-        providers: tmdbProviders
-      }
+      providers: Object.fromEntries(providers.map((provider, i) => [provider.name, {
+        ...describeProvider(provider),
+        availabilitiesCount: provider.normalise(tmdbId, raw[i], mediaType).length,
+        raw: raw[i]
+      }]))
     });
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ error: error.message, quota_exceeded: true });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // Debug subtitles
-app.get('/api/debug-subtitles/:tmdb_id', async (req, res) => {
+app.get('/api/debug-subtitles/:tmdb_id', requireDebug, costlyRateLimit, async (req, res) => {
   try {
-    const tmdbId = req.params.tmdb_id;
+    const tmdbId = parseTmdbId(req.params.tmdb_id);
+    if (!tmdbId) {
+      return res.status(400).json({ error: 'Invalid TMDB id' });
+    }
     
-    const response = await streamingClient.get(`/shows/movie/${tmdbId}`, {
-      params: { series_granularity: 'show', output_language: 'fr' }
-    });
+    const response = await callStreamingApi(`/shows/movie/${tmdbId}`, {
+      series_granularity: 'show', output_language: STREAMING_OUTPUT_LANGUAGE
+    }, tmdbId, 'movie');
 
     const subtitleData = [];
     
@@ -982,18 +3645,24 @@ app.get('/api/debug-subtitles/:tmdb_id', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ error: error.message, quota_exceeded: true });
+    }
     res.status(500).json({ error: error.message, details: error.response?.data });
   }
 });
 
 // Debug addons
-app.get('/api/debug-addons/:tmdb_id', async (req, res) => {
+app.get('/api/debug-addons/:tmdb_id', requireDebug, costlyRateLimit, async (req, res) => {
   try {
-    const tmdbId = req.params.tmdb_id;
+    const tmdbId = parseTmdbId(req.params.tmdb_id);
+    if (!tmdbId) {
+      return res.status(400).json({ error: 'Invalid TMDB id' });
+    }
     
-    const response = await streamingClient.get(`/shows/movie/${tmdbId}`, {
-      params: { series_granularity: 'show', output_language: 'fr' }
-    });
+    const response = await callStreamingApi(`/shows/movie/${tmdbId}`, {
+      series_granularity: 'show', output_language: STREAMING_OUTPUT_LANGUAGE
+    }, tmdbId, 'movie');
 
     const addonSamples = [];
     
@@ -1021,14 +3690,20 @@ app.get('/api/debug-addons/:tmdb_id', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ error: error.message, quota_exceeded: true });
+    }
     res.status(500).json({ error: error.message, details: error.response?.data });
   }
 });
 
 // Debug duplicates
-app.get('/api/debug-duplicates/:tmdb_id', async (req, res) => {
+app.get('/api/debug-duplicates/:tmdb_id', requireDebug, async (req, res) => {
   try {
-    const tmdb_id = parseInt(req.params.tmdb_id);
+    const tmdb_id = parseTmdbId(req.params.tmdb_id);
+    if (!tmdb_id) {
+      return res.status(400).json({ error: 'Invalid TMDB id' });
+    }
     
     const result = await pool.query(
       `SELECT tmdb_id, platform, country_code, country_name, streaming_type, addon_name, 
@@ -1066,51 +3741,40 @@ app.get('/api/debug-duplicates/:tmdb_id', async (req, res) => {
 // ============================================
 // CACHE MANAGEMENT
 // ============================================
+// Clé admin + confirmation obligatoires, ex. :
+// curl -X DELETE -H "Authorization: Bearer $KEY" -H "Content-Type: application/json" \
+//      -d '{"confirm":"clear-all-cache"}' /api/clear-all-cache
 
-app.get('/api/clear-all-cache', async (req, res) => {
+app.delete('/api/clear-all-cache', requireAdmin, requireConfirmation('clear-all-cache'), async (req, res) => {
   try {
     const result = await pool.query('DELETE FROM availabilities');
+    await pool.query('DELETE FROM availability_refreshes');
     res.json({ message: `Cleared ${result.rowCount} cached entries` });
   } catch (error) {
     res.status(500).json({ error: 'Failed to clear cache' });
   }
 });
 
-app.get('/api/clear-cache/:tmdb_id', async (req, res) => {
+app.delete('/api/clear-cache/:tmdb_id', requireAdmin, requireConfirmation('clear-cache'), async (req, res) => {
   try {
-    const result = await pool.query('DELETE FROM availabilities WHERE tmdb_id = $1', [req.params.tmdb_id]);
-    res.json({ message: `Cleared ${result.rowCount} cached entries for TMDB ID ${req.params.tmdb_id}` });
+    const tmdbId = parseTmdbId(req.params.tmdb_id);
+    if (!tmdbId) {
+      return res.status(400).json({ error: 'Invalid TMDB id' });
+    }
+
+    const result = await pool.query('DELETE FROM availabilities WHERE tmdb_id = $1', [tmdbId]);
+    await pool.query('DELETE FROM availability_refreshes WHERE tmdb_id = $1', [tmdbId]);
+    res.json({ message: `Cleared ${result.rowCount} cached entries for TMDB ID ${tmdbId}` });
   } catch (error) {
     res.status(500).json({ error: 'Failed to clear cache' });
   }
 });
 
-// Reset database
-app.get('/api/reset-database', async (req, res) => {
+// Reset database (vide le cache ; le schéma est géré par les migrations)
+app.post('/api/reset-database', requireAdmin, requireConfirmation('reset-database'), async (req, res) => {
   try {
-    await pool.query('DROP TABLE IF EXISTS availabilities');
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS availabilities (
-        id SERIAL PRIMARY KEY,
-        tmdb_id INTEGER NOT NULL,
-        media_type VARCHAR(10) NOT NULL DEFAULT 'movie',
-        platform VARCHAR(100) NOT NULL,
-        country_code VARCHAR(10) NOT NULL,
-        country_name VARCHAR(100) NOT NULL,
-        streaming_type VARCHAR(20) NOT NULL DEFAULT 'subscription',
-        addon_name VARCHAR(100),
-        season_number INTEGER,
-        has_french_audio BOOLEAN DEFAULT false,
-        has_french_subtitles BOOLEAN DEFAULT false,
-        streaming_url TEXT,
-        quality VARCHAR(20),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(tmdb_id, media_type, platform, country_code, streaming_type, addon_name, quality, season_number)
-      );
-      CREATE INDEX IF NOT EXISTS idx_tmdb_platform ON availabilities(tmdb_id, platform);
-      CREATE INDEX IF NOT EXISTS idx_updated_at ON availabilities(updated_at);
-    `);
+    // availability_languages référence availabilities : tronquée en même temps
+    await pool.query('TRUNCATE availabilities, availability_languages, availability_refreshes, refresh_queue RESTART IDENTITY');
     res.json({ success: true, message: 'Database reset successfully!' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -1118,29 +3782,30 @@ app.get('/api/reset-database', async (req, res) => {
 });
 
 // Test APIs
-app.get('/api/test-apis', async (req, res) => {
+app.get('/api/test-apis', requireDebug, costlyRateLimit, async (req, res) => {
   try {
-    const [streaming, tmdb] = await Promise.all([
-      fetchStreamingAvailability(27205, 'movie'),
-      fetchTmdbWatchProviders(27205, 'movie')
-    ]);
+    const providers = getEnabledProviders();
+    const raw = await Promise.all(providers.map(provider => provider.fetch(27205, 'movie')));
+
     res.json({
       success: true,
-      streamingAvailability: { 
-        working: !!streaming,
-        countries: Object.keys(streaming?.streamingOptions || {}).length 
-      },
-      tmdbWatchProviders: { 
-        working: Object.keys(tmdb).length > 0,
-        countries: Object.keys(tmdb).length 
-      }
+      providers: Object.fromEntries(providers.map((provider, i) => {
+        const availabilities = provider.normalise(27205, raw[i], 'movie');
+        return [provider.name, {
+          working: availabilities.length > 0,
+          countries: new Set(availabilities.map(avail => avail.country_code)).size
+        }];
+      }))
     });
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ success: false, error: error.message, quota_exceeded: true });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/test-streaming-api', async (req, res) => {
+app.get('/api/test-streaming-api', requireDebug, costlyRateLimit, async (req, res) => {
   try {
     const testTmdbId = '27205';
     
@@ -1151,9 +3816,9 @@ app.get('/api/test-streaming-api', async (req, res) => {
       });
     }
 
-    const response = await streamingClient.get(`/shows/movie/${testTmdbId}`, {
-      params: { series_granularity: 'show', output_language: 'fr' }
-    });
+    const response = await callStreamingApi(`/shows/movie/${testTmdbId}`, {
+      series_granularity: 'show', output_language: STREAMING_OUTPUT_LANGUAGE
+    }, parseInt(testTmdbId), 'movie');
 
     const platformCount = Object.keys(response.data.streamingOptions || {}).length;
     
@@ -1165,6 +3830,9 @@ app.get('/api/test-streaming-api', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ success: false, error: error.message, quota_exceeded: true });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -1188,30 +3856,66 @@ app.get('/api/countries', async (req, res) => {
 });
 
 // Health check
-app.get('/health', (req, res) => {
-  checkAndResetCounter();
+app.get('/health', async (req, res) => {
+  let apiQuota = null;
+  try {
+    const quota = await getQuotaStatus();
+    apiQuota = { used: quota.used, limit: quota.limit, status: quota.status, date: quota.date };
+  } catch (error) {
+    console.error('Health quota error:', error.message);
+  }
+
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    api_quota: {
-      used: apiRequestCount,
-      limit: 100,
-      date: lastResetDate
-    }
+    api_quota: apiQuota,
+    providers: getEnabledProviders().map(describeProvider)
   });
 });
 
-app.listen(PORT, () => {
-  console.log('');
-  console.log('🚀 ================================');
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log('🚀 ================================');
-  console.log('');
-  console.log('📊 Compteur API initialisé:');
-  console.log(`   Date: ${lastResetDate}`);
-  console.log(`   Requêtes: ${apiRequestCount}/100`);
-  console.log('');
-  console.log(`📺 Sources: Streaming Availability API + TMDB Watch Providers`);
-  console.log(`📊 Cache duration: ${CACHE_DURATION / (1000 * 60 * 60 * 24)} days`);
-  console.log('');
+async function start() {
+  // Refuse de servir sur un schéma pas à jour
+  const pending = await getPendingMigrations(pool);
+  if (pending.length > 0) {
+    console.error(`❌ ${pending.length} pending migration(s): ${pending.map(m => `${m.version}_${m.name}`).join(', ')}`);
+    console.error('   Run "npm run migrate" before starting the server.');
+    process.exit(1);
+  }
+
+  const platformsCount = await reloadPlatforms();
+  setInterval(() => {
+    reloadPlatforms().catch(error => console.error('Platforms reload error:', error.message));
+  }, PLATFORMS_RELOAD_INTERVAL);
+  await loadExchangeRates(pool);
+  setInterval(() => {
+    loadExchangeRates(pool).catch(error => console.error('Exchange rates reload error:', error.message));
+  }, EXCHANGE_RATES_RELOAD_INTERVAL);
+  setInterval(() => {
+    flushUnmappedAddons(pool).catch(error => console.error('Unmapped addons flush error:', error.message));
+  }, UNMAPPED_ADDONS_FLUSH_INTERVAL);
+
+  setInterval(processRefreshQueue, REFRESH_QUEUE_INTERVAL);
+  setInterval(() => processWebhookDeliveries(pool), WEBHOOK_DELIVERY_INTERVAL);
+
+  app.listen(PORT, () => {
+    console.log('');
+    console.log('🚀 ================================');
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log('🚀 ================================');
+    console.log('');
+    console.log('📊 Quota API (persisté en base):');
+    console.log(`   Limite: ${QUOTA_DAILY_LIMIT}/jour (warning ${QUOTA_WARNING_PERCENT}%, critical ${QUOTA_CRITICAL_PERCENT}%)`);
+    console.log(`   uNoGS: ${QUOTA_LIMITS.unogs}/jour`);
+    console.log(`   Reset: minuit ${QUOTA_RESET_TIMEZONE}`);
+    console.log('');
+    console.log(`📺 Sources: ${getEnabledProviders().map(provider => `${provider.name} (priority ${provider.priority}, cost ${provider.cost})`).join(' + ')}`);
+    console.log(`📊 Cache duration: ${CACHE_DURATION / (1000 * 60 * 60 * 24)} days`);
+    console.log(`🏷️ Platforms: ${platformsCount} in catalogue`);
+    console.log('');
+  });
+}
+
+start().catch(error => {
+  console.error('❌ Startup failed:', error.message);
+  process.exit(1);
 });
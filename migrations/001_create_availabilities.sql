@@ -0,0 +1,23 @@
+-- Cache des disponibilités (schéma historiquement créé au démarrage)
+CREATE TABLE IF NOT EXISTS availabilities (
+  id SERIAL PRIMARY KEY,
+  tmdb_id INTEGER NOT NULL,
+  media_type VARCHAR(10) NOT NULL DEFAULT 'movie',
+  platform VARCHAR(100) NOT NULL,
+  country_code VARCHAR(10) NOT NULL,
+  country_name VARCHAR(100) NOT NULL,
+  streaming_type VARCHAR(20) NOT NULL DEFAULT 'subscription',
+  addon_name VARCHAR(100),
+  season_number INTEGER,
+  has_french_audio BOOLEAN DEFAULT false,
+  has_french_subtitles BOOLEAN DEFAULT false,
+  streaming_url TEXT,
+  quality VARCHAR(20),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(tmdb_id, media_type, platform, country_code, streaming_type, addon_name, quality, season_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tmdb_platform ON availabilities(tmdb_id, platform);
+CREATE INDEX IF NOT EXISTS idx_updated_at ON availabilities(updated_at);
+CREATE INDEX IF NOT EXISTS idx_streaming_type ON availabilities(streaming_type);
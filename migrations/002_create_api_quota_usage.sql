@@ -0,0 +1,14 @@
+-- Compteur du quota Streaming Availability, par jour / endpoint / titre
+CREATE TABLE IF NOT EXISTS api_quota_usage (
+  id SERIAL PRIMARY KEY,
+  usage_date DATE NOT NULL,
+  endpoint VARCHAR(255) NOT NULL,
+  tmdb_id INTEGER NOT NULL,
+  media_type VARCHAR(10) NOT NULL,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(usage_date, endpoint, tmdb_id, media_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quota_usage_date ON api_quota_usage(usage_date);
@@ -0,0 +1,25 @@
+-- Date du dernier refresh par titre + file de refresh en arrière-plan
+CREATE TABLE IF NOT EXISTS availability_refreshes (
+  tmdb_id INTEGER NOT NULL,
+  media_type VARCHAR(10) NOT NULL,
+  availability_count INTEGER NOT NULL DEFAULT 0,
+  refreshed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (tmdb_id, media_type)
+);
+
+CREATE TABLE IF NOT EXISTS refresh_queue (
+  id SERIAL PRIMARY KEY,
+  tmdb_id INTEGER NOT NULL,
+  media_type VARCHAR(10) NOT NULL,
+  views INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(tmdb_id, media_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_queue_pending ON refresh_queue(status, views DESC, created_at);
@@ -0,0 +1,8 @@
+-- Compteurs du rate limiting (fenêtre fixe) partagés entre instances
+CREATE TABLE rate_limit_buckets (
+  bucket_key VARCHAR(255) PRIMARY KEY,
+  window_start TIMESTAMPTZ NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX idx_rate_limit_window ON rate_limit_buckets(window_start);
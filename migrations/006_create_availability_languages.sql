@@ -0,0 +1,16 @@
+-- Pistes audio et sous-titres réelles de chaque disponibilité.
+-- languages_known = false quand la source ne donne aucune info de langue (TMDB) :
+-- la VF n'est alors qu'une supposition (niveau "inferred") basée sur le pays.
+ALTER TABLE availabilities ADD COLUMN languages_known BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE availability_languages (
+  id SERIAL PRIMARY KEY,
+  availability_id INTEGER NOT NULL REFERENCES availabilities(id) ON DELETE CASCADE,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('audio', 'subtitle')),
+  language VARCHAR(10) NOT NULL,
+  region VARCHAR(10),
+  closed_captions BOOLEAN NOT NULL DEFAULT false
+);
+
+CREATE INDEX idx_availability_languages_availability ON availability_languages(availability_id);
+CREATE INDEX idx_availability_languages_language ON availability_languages(kind, language);
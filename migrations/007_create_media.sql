@@ -0,0 +1,20 @@
+-- Cache local des métadonnées TMDB, par langue.
+-- details_complete = false : ligne remplie depuis une liste (search / discover / trending),
+-- sans les champs propres à la fiche détaillée (genres nommés, number_of_seasons).
+CREATE TABLE media (
+  tmdb_id INTEGER NOT NULL,
+  media_type VARCHAR(10) NOT NULL,
+  language VARCHAR(5) NOT NULL,
+  title TEXT,
+  original_title TEXT,
+  year INTEGER,
+  poster_path TEXT,
+  backdrop_path TEXT,
+  overview TEXT,
+  genres JSONB NOT NULL DEFAULT '[]',
+  vote_average REAL,
+  number_of_seasons INTEGER,
+  details_complete BOOLEAN NOT NULL DEFAULT false,
+  fetched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (tmdb_id, media_type, language)
+);
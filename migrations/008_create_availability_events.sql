@@ -0,0 +1,21 @@
+-- Historique append-only des changements de disponibilité, calculé à chaque refresh
+-- par diff entre l'ancien et le nouveau snapshot d'un titre.
+CREATE TABLE availability_events (
+  id BIGSERIAL PRIMARY KEY,
+  tmdb_id INTEGER NOT NULL,
+  media_type VARCHAR(10) NOT NULL,
+  event_type VARCHAR(30) NOT NULL CHECK (event_type IN ('added', 'removed', 'languages_changed', 'url_changed')),
+  platform VARCHAR(100) NOT NULL,
+  country_code VARCHAR(10) NOT NULL,
+  streaming_type VARCHAR(20) NOT NULL,
+  addon_name VARCHAR(100),
+  quality VARCHAR(20),
+  season_number INTEGER,
+  previous JSONB,
+  current JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_availability_events_title ON availability_events(tmdb_id, media_type, created_at DESC);
+CREATE INDEX idx_availability_events_created_at ON availability_events(created_at DESC);
+CREATE INDEX idx_availability_events_platform_country ON availability_events(platform, country_code, created_at DESC);
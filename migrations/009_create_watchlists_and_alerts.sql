@@ -0,0 +1,49 @@
+-- Watchlists anonymes (un appareil = un token, stocké hashé) et règles d'alerte.
+CREATE TABLE devices (
+  id SERIAL PRIMARY KEY,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE watchlist_items (
+  id SERIAL PRIMARY KEY,
+  device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  tmdb_id INTEGER NOT NULL,
+  media_type VARCHAR(10) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(device_id, tmdb_id, media_type)
+);
+
+-- countries / platforms vides = tous les pays / toutes les plateformes.
+-- satisfied : la règle était satisfaite au dernier refresh ; l'alerte ne part qu'au passage false → true.
+CREATE TABLE alert_rules (
+  id SERIAL PRIMARY KEY,
+  device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  tmdb_id INTEGER NOT NULL,
+  media_type VARCHAR(10) NOT NULL,
+  countries TEXT[] NOT NULL DEFAULT '{}',
+  platforms TEXT[] NOT NULL DEFAULT '{}',
+  language VARCHAR(5) NOT NULL DEFAULT 'fr',
+  audio_requirement VARCHAR(20) NOT NULL DEFAULT 'audio' CHECK (audio_requirement IN ('audio', 'audio_or_subtitles', 'any')),
+  confirmed_only BOOLEAN NOT NULL DEFAULT false,
+  notifier VARCHAR(20) NOT NULL,
+  target TEXT NOT NULL,
+  satisfied BOOLEAN NOT NULL DEFAULT false,
+  active BOOLEAN NOT NULL DEFAULT true,
+  last_fired_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_alert_rules_title ON alert_rules(tmdb_id, media_type) WHERE active;
+
+CREATE TABLE alert_notifications (
+  id SERIAL PRIMARY KEY,
+  rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+  status VARCHAR(10) NOT NULL CHECK (status IN ('sent', 'failed')),
+  error TEXT,
+  payload JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_alert_notifications_rule ON alert_notifications(rule_id, created_at DESC);
@@ -0,0 +1,10 @@
+-- Identifiants d'un titre TMDB chez une source (ex. netflix id pour uNoGS).
+-- external_id NULL = titre cherché mais introuvable chez cette source (recherche refaite plus tard).
+CREATE TABLE provider_external_ids (
+  provider VARCHAR(50) NOT NULL,
+  tmdb_id INTEGER NOT NULL,
+  media_type VARCHAR(10) NOT NULL,
+  external_id VARCHAR(100),
+  resolved_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (provider, tmdb_id, media_type)
+);
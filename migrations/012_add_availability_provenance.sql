@@ -0,0 +1,5 @@
+-- Source de la ligne (celle qui l'a listée en premier) et provenance champ par champ :
+-- { "sources": [...], "<champ>": { "source": "...", "confidence": 0.9 } | null }
+ALTER TABLE availabilities
+  ADD COLUMN source VARCHAR(50),
+  ADD COLUMN provenance JSONB;
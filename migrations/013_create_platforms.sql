@@ -0,0 +1,163 @@
+-- Catalogue des plateformes : identité canonique + correspondances avec chaque source.
+-- name est le nom stocké dans availabilities.platform et renvoyé par l'API.
+-- countries vide = disponibilité régionale non renseignée.
+CREATE TABLE platforms (
+  id VARCHAR(50) PRIMARY KEY CHECK (id ~ '^[a-z0-9-]+$'),
+  name VARCHAR(100) NOT NULL UNIQUE,
+  logo_url TEXT,
+  homepage_url TEXT,
+  countries TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- upstream : id de service Streaming Availability, id de provider TMDB, ou nom brut (toutes sources).
+-- match_type : exact (insensible à la casse) ou pattern (regex, insensible à la casse ; noms uniquement).
+CREATE TABLE platform_aliases (
+  id SERIAL PRIMARY KEY,
+  platform_id VARCHAR(50) NOT NULL REFERENCES platforms(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  upstream VARCHAR(30) NOT NULL CHECK (upstream IN ('streaming-availability', 'tmdb', 'name')),
+  match_type VARCHAR(10) NOT NULL DEFAULT 'exact' CHECK (match_type IN ('exact', 'pattern')),
+  value VARCHAR(200) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (match_type = 'exact' OR upstream = 'name')
+);
+
+CREATE UNIQUE INDEX idx_platform_aliases_value ON platform_aliases(upstream, match_type, lower(value));
+CREATE INDEX idx_platform_aliases_platform ON platform_aliases(platform_id);
+
+-- Reprise des correspondances jusque-là codées en dur
+INSERT INTO platforms (id, name, homepage_url, countries) VALUES
+  ('netflix', 'Netflix', 'https://www.netflix.com', '{}'),
+  ('amazon-prime', 'Amazon Prime', 'https://www.primevideo.com', '{}'),
+  ('disney', 'Disney+', 'https://www.disneyplus.com', '{}'),
+  ('max', 'Max', 'https://www.max.com', '{}'),
+  ('apple-tv', 'Apple TV+', 'https://tv.apple.com', '{}'),
+  ('paramount', 'Paramount+', 'https://www.paramountplus.com', '{}'),
+  ('peacock', 'Peacock', 'https://www.peacocktv.com', '{US}'),
+  ('hulu', 'Hulu', 'https://www.hulu.com', '{US}'),
+  ('mubi', 'MUBI', 'https://mubi.com', '{}'),
+  ('stan', 'Stan', 'https://www.stan.com.au', '{AU}'),
+  ('now', 'NOW', 'https://www.nowtv.com', '{GB,IE,IT}'),
+  ('crave', 'Crave', 'https://www.crave.ca', '{CA}'),
+  ('channel4', 'Channel 4', 'https://www.channel4.com', '{GB}'),
+  ('bbc-iplayer', 'BBC iPlayer', 'https://www.bbc.co.uk/iplayer', '{GB}'),
+  ('britbox', 'BritBox', 'https://www.britbox.com', '{}'),
+  ('hotstar', 'Disney+ Hotstar', 'https://www.hotstar.com', '{IN}'),
+  ('zee5', 'Zee5', 'https://www.zee5.com', '{}'),
+  ('curiosity', 'CuriosityStream', 'https://curiositystream.com', '{}'),
+  ('wow', 'WOW', 'https://www.wowtv.de', '{DE,AT}'),
+  ('canal', 'Canal+', 'https://www.canalplus.com', '{}'),
+  ('canal-cinema', 'Canal+ Cinéma', 'https://www.canalplus.com', '{FR}'),
+  ('canal-series', 'Canal+ Séries', 'https://www.canalplus.com', '{FR}'),
+  ('ocs', 'OCS', 'https://www.ocs.fr', '{FR}'),
+  ('france-tv', 'France TV', 'https://www.france.tv', '{FR}'),
+  ('arte', 'Arte', 'https://www.arte.tv', '{}'),
+  ('adn', 'ADN', 'https://animationdigitalnetwork.com', '{FR,BE,CH,LU}'),
+  ('crunchyroll', 'Crunchyroll', 'https://www.crunchyroll.com', '{}'),
+  ('youtube', 'YouTube', 'https://www.youtube.com', '{}'),
+  ('google-play', 'Google Play', 'https://play.google.com', '{}'),
+  ('pass-warner', 'Pass Warner', NULL, '{FR}'),
+  ('skyshowtime', 'SkyShowtime', 'https://www.skyshowtime.com', '{}'),
+  ('microsoft-store', 'Microsoft Store', 'https://www.microsoft.com', '{}'),
+  ('rakuten-tv', 'Rakuten TV', 'https://www.rakuten.tv', '{}'),
+  ('starz', 'Starz', 'https://www.starz.com', '{}'),
+  ('mgm-plus', 'MGM+', 'https://www.mgmplus.com', '{}'),
+  ('lionsgate-plus', 'Lionsgate+', 'https://www.lionsgateplus.com', '{}');
+
+INSERT INTO platform_aliases (platform_id, upstream, match_type, value) VALUES
+  ('netflix', 'streaming-availability', 'exact', 'netflix'),
+  ('amazon-prime', 'streaming-availability', 'exact', 'prime'),
+  ('disney', 'streaming-availability', 'exact', 'disney'),
+  ('max', 'streaming-availability', 'exact', 'hbo'),
+  ('apple-tv', 'streaming-availability', 'exact', 'apple'),
+  ('paramount', 'streaming-availability', 'exact', 'paramount'),
+  ('peacock', 'streaming-availability', 'exact', 'peacock'),
+  ('hulu', 'streaming-availability', 'exact', 'hulu'),
+  ('mubi', 'streaming-availability', 'exact', 'mubi'),
+  ('stan', 'streaming-availability', 'exact', 'stan'),
+  ('now', 'streaming-availability', 'exact', 'now'),
+  ('crave', 'streaming-availability', 'exact', 'crave'),
+  ('channel4', 'streaming-availability', 'exact', 'all4'),
+  ('bbc-iplayer', 'streaming-availability', 'exact', 'iplayer'),
+  ('britbox', 'streaming-availability', 'exact', 'britbox'),
+  ('hotstar', 'streaming-availability', 'exact', 'hotstar'),
+  ('zee5', 'streaming-availability', 'exact', 'zee5'),
+  ('curiosity', 'streaming-availability', 'exact', 'curiosity'),
+  ('wow', 'streaming-availability', 'exact', 'wow'),
+  ('canal', 'streaming-availability', 'exact', 'canal'),
+  ('netflix', 'tmdb', 'exact', '8'),
+  ('amazon-prime', 'tmdb', 'exact', '9'),
+  ('amazon-prime', 'tmdb', 'exact', '10'),
+  ('amazon-prime', 'tmdb', 'exact', '119'),
+  ('disney', 'tmdb', 'exact', '337'),
+  ('apple-tv', 'tmdb', 'exact', '2'),
+  ('apple-tv', 'tmdb', 'exact', '350'),
+  ('paramount', 'tmdb', 'exact', '531'),
+  ('max', 'tmdb', 'exact', '1899'),
+  ('max', 'tmdb', 'exact', '384'),
+  ('canal', 'tmdb', 'exact', '381'),
+  ('canal', 'tmdb', 'exact', '929'),
+  ('canal-cinema', 'tmdb', 'exact', '1754'),
+  ('canal-series', 'tmdb', 'exact', '345'),
+  ('ocs', 'tmdb', 'exact', '334'),
+  ('ocs', 'tmdb', 'exact', '56'),
+  ('france-tv', 'tmdb', 'exact', '236'),
+  ('arte', 'tmdb', 'exact', '59'),
+  ('adn', 'tmdb', 'exact', '1870'),
+  ('crunchyroll', 'tmdb', 'exact', '1960'),
+  ('crunchyroll', 'tmdb', 'exact', '283'),
+  ('youtube', 'tmdb', 'exact', '192'),
+  ('google-play', 'tmdb', 'exact', '3'),
+  ('hulu', 'tmdb', 'exact', '15'),
+  ('peacock', 'tmdb', 'exact', '386'),
+  ('peacock', 'tmdb', 'exact', '387'),
+  ('paramount', 'tmdb', 'exact', '1770'),
+  ('pass-warner', 'tmdb', 'exact', '582'),
+  ('skyshowtime', 'tmdb', 'exact', '1967'),
+  ('crave', 'tmdb', 'exact', '230'),
+  ('microsoft-store', 'tmdb', 'exact', '68'),
+  ('rakuten-tv', 'tmdb', 'exact', '35'),
+  ('amazon-prime', 'name', 'exact', 'Amazon Prime Video'),
+  ('amazon-prime', 'name', 'exact', 'Prime Video'),
+  ('amazon-prime', 'name', 'exact', 'Amazon Prime'),
+  ('amazon-prime', 'name', 'exact', 'Amazon Prime Video with Ads'),
+  ('amazon-prime', 'name', 'exact', 'Amazon Video'),
+  ('disney', 'name', 'exact', 'Disney Plus'),
+  ('disney', 'name', 'exact', 'Disney+'),
+  ('max', 'name', 'exact', 'Max'),
+  ('max', 'name', 'exact', 'HBO Max'),
+  ('max', 'name', 'exact', 'HBO'),
+  ('max', 'name', 'exact', 'Max Amazon Channel'),
+  ('max', 'name', 'exact', 'HBO Max Amazon Channel'),
+  ('apple-tv', 'name', 'exact', 'Apple TV'),
+  ('apple-tv', 'name', 'exact', 'Apple TV+'),
+  ('apple-tv', 'name', 'exact', 'Apple TV Plus'),
+  ('canal', 'name', 'exact', 'Canal+'),
+  ('canal', 'name', 'exact', 'Canal Plus'),
+  ('canal', 'name', 'exact', 'Canal+ Amazon Channel'),
+  ('canal', 'name', 'exact', 'myCANAL'),
+  ('canal-cinema', 'name', 'exact', 'Canal+ Cinéma'),
+  ('canal-cinema', 'name', 'exact', 'Canal+ Cinema'),
+  ('canal-series', 'name', 'exact', 'Canal+ Séries'),
+  ('canal-series', 'name', 'exact', 'Canal+ Series'),
+  ('ocs', 'name', 'exact', 'OCS'),
+  ('ocs', 'name', 'exact', 'OCS Go'),
+  ('ocs', 'name', 'exact', 'OCS Amazon Channel'),
+  ('ocs', 'name', 'exact', 'Orange Cinéma Séries'),
+  ('hulu', 'name', 'exact', 'Hulu'),
+  ('mgm-plus', 'name', 'exact', 'MGM+'),
+  ('mgm-plus', 'name', 'exact', 'MGM Plus'),
+  ('mgm-plus', 'name', 'exact', 'MGM Plus Amazon Channel'),
+  ('hotstar', 'name', 'exact', 'Disney+ Hotstar'),
+  ('hotstar', 'name', 'exact', 'Hotstar'),
+  ('france-tv', 'name', 'exact', 'France TV'),
+  ('france-tv', 'name', 'exact', 'france.tv'),
+  ('channel4', 'name', 'exact', 'Channel 4'),
+  ('channel4', 'name', 'exact', 'All 4'),
+  ('netflix', 'name', 'pattern', '^netflix( (standard|basic|premium))?( with ads)?$'),
+  ('netflix', 'name', 'pattern', '^netflix kids$'),
+  ('paramount', 'name', 'pattern', '^paramount(\+| plus)( (premium|essential|with showtime|amazon channel|apple tv channel))*$'),
+  ('crave', 'name', 'pattern', '^crave( ?ca| amazon channel| starz)?$'),
+  ('peacock', 'name', 'pattern', '^peacock( premium( plus)?)?$'),
+  ('starz', 'name', 'pattern', '^starz( amazon channel| apple tv channel| play)?$');
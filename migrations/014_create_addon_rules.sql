@@ -0,0 +1,67 @@
+-- Règles pour les chaînes / addons vendus via une plateforme hôte (Prime Video Channels, Apple TV Channels...).
+-- host_platform_id / country_code NULL = toutes les plateformes hôtes / tous les pays.
+-- pattern : regex insensible à la casse sur le nom de l'addon ; NULL = règle par défaut de l'hôte.
+-- action : map (rattaché à target_platform_id), keep (gardé comme addon de l'hôte), drop (ignoré).
+CREATE TABLE addon_rules (
+  id SERIAL PRIMARY KEY,
+  host_platform_id VARCHAR(50) REFERENCES platforms(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  country_code VARCHAR(10),
+  pattern TEXT,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('map', 'keep', 'drop')),
+  target_platform_id VARCHAR(50) REFERENCES platforms(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  priority INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((action = 'map') = (target_platform_id IS NOT NULL))
+);
+
+-- Addons vus dans les réponses des sources sans règle spécifique (rapport admin)
+CREATE TABLE unmapped_addons (
+  host_platform VARCHAR(100) NOT NULL,
+  country_code VARCHAR(10) NOT NULL,
+  addon_name VARCHAR(200) NOT NULL,
+  occurrences INTEGER NOT NULL DEFAULT 0,
+  last_tmdb_id INTEGER,
+  last_media_type VARCHAR(10),
+  first_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (host_platform, country_code, addon_name)
+);
+
+CREATE INDEX idx_unmapped_addons_last_seen ON unmapped_addons(last_seen_at DESC);
+
+-- Chaînes françaises jusque-là perdues
+INSERT INTO platforms (id, name, homepage_url, countries) VALUES
+  ('universal-plus', 'Universal+', 'https://www.universalplus.fr', '{FR}'),
+  ('brutx', 'BrutX', 'https://www.brutx.com', '{FR}');
+
+INSERT INTO platform_aliases (platform_id, upstream, match_type, value) VALUES
+  ('ocs', 'name', 'pattern', '^cin[eé]\+ ocs\b'),
+  ('universal-plus', 'name', 'pattern', '^universal\+'),
+  ('brutx', 'name', 'pattern', '^brut ?x\b');
+
+-- Reprise des filtres Prime Video / Apple TV jusque-là codés en dur
+INSERT INTO addon_rules (host_platform_id, pattern, action, target_platform_id) VALUES
+  ('amazon-prime', 'canal', 'map', 'canal'),
+  ('amazon-prime', 'paramount', 'map', 'paramount'),
+  ('amazon-prime', 'starz', 'map', 'starz'),
+  ('amazon-prime', 'mgm', 'map', 'mgm-plus'),
+  ('amazon-prime', 'crave', 'map', 'crave'),
+  ('amazon-prime', 'ocs', 'map', 'ocs'),
+  ('amazon-prime', 'lionsgate', 'map', 'lionsgate-plus'),
+  ('amazon-prime', 'universal\+', 'map', 'universal-plus'),
+  ('amazon-prime', 'brut ?x', 'map', 'brutx'),
+  ('apple-tv', 'canal', 'map', 'canal'),
+  ('apple-tv', 'paramount', 'map', 'paramount'),
+  ('apple-tv', 'starz', 'map', 'starz'),
+  ('apple-tv', 'mgm', 'map', 'mgm-plus'),
+  ('apple-tv', 'ocs', 'map', 'ocs'),
+  ('apple-tv', 'universal\+', 'map', 'universal-plus');
+
+INSERT INTO addon_rules (host_platform_id, pattern, action) VALUES
+  ('amazon-prime', 'pass warner', 'keep');
+
+-- Par défaut, les autres addons Prime Video / Apple TV sont ignorés (visibles dans le rapport)
+INSERT INTO addon_rules (host_platform_id, pattern, action) VALUES
+  ('amazon-prime', NULL, 'drop'),
+  ('apple-tv', NULL, 'drop');
@@ -0,0 +1,8 @@
+-- Granularité saison / épisode des séries.
+-- episode_numbers : épisodes de la saison couverts par la ligne (NULL = pas de détail par épisode).
+ALTER TABLE availabilities ADD COLUMN episode_numbers INTEGER[];
+
+CREATE INDEX idx_availabilities_season ON availabilities(tmdb_id, media_type, season_number);
+
+-- Liste des saisons TMDB (fiche détaillée) : [{ season_number, name, episode_count, air_date }]
+ALTER TABLE media ADD COLUMN seasons JSONB;
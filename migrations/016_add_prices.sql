@@ -0,0 +1,39 @@
+-- Prix des offres location / achat (Streaming Availability : price.amount, price.currency, price.formatted)
+ALTER TABLE availabilities
+  ADD COLUMN price_amount NUMERIC(10, 2),
+  ADD COLUMN price_currency VARCHAR(3),
+  ADD COLUMN price_formatted VARCHAR(50);
+
+-- Taux de conversion vers l'euro : 1 unité de currency = rate_to_eur EUR.
+-- Mis à jour par "node cli.js rates update" (taux de référence BCE) ou PUT /api/exchange-rates.
+CREATE TABLE exchange_rates (
+  currency VARCHAR(3) PRIMARY KEY,
+  rate_to_eur NUMERIC(18, 8) NOT NULL CHECK (rate_to_eur > 0),
+  source VARCHAR(50) NOT NULL DEFAULT 'manual',
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Valeurs de départ approximatives, à rafraîchir avec "node cli.js rates update"
+INSERT INTO exchange_rates (currency, rate_to_eur, source) VALUES
+  ('EUR', 1, 'seed'),
+  ('USD', 0.92, 'seed'),
+  ('GBP', 1.17, 'seed'),
+  ('CHF', 1.04, 'seed'),
+  ('CAD', 0.68, 'seed'),
+  ('AUD', 0.61, 'seed'),
+  ('NZD', 0.56, 'seed'),
+  ('JPY', 0.0062, 'seed'),
+  ('SEK', 0.087, 'seed'),
+  ('NOK', 0.086, 'seed'),
+  ('DKK', 0.134, 'seed'),
+  ('PLN', 0.23, 'seed'),
+  ('CZK', 0.040, 'seed'),
+  ('HUF', 0.0025, 'seed'),
+  ('BRL', 0.18, 'seed'),
+  ('MXN', 0.052, 'seed'),
+  ('INR', 0.011, 'seed'),
+  ('ZAR', 0.050, 'seed'),
+  ('TRY', 0.028, 'seed'),
+  ('KRW', 0.00068, 'seed'),
+  ('SGD', 0.68, 'seed'),
+  ('HKD', 0.118, 'seed');
@@ -0,0 +1,33 @@
+-- Nature du lien d'une disponibilité : direct (page du titre), search (recherche sur la plateforme),
+-- homepage (accueil de la plateforme) ou aggregator (page TMDB / JustWatch du pays).
+ALTER TABLE availabilities ADD COLUMN link_kind VARCHAR(20);
+
+-- Modèles de liens par plateforme (et par pays, NULL = tous les pays).
+-- kind : deep (lien direct vers le titre) ou search (page de recherche).
+-- Variables : {title}, {original_title}, {year}, {tmdb_id}, {media_type}, {country} (code pays en minuscules).
+CREATE TABLE platform_link_templates (
+  id SERIAL PRIMARY KEY,
+  platform_id VARCHAR(50) NOT NULL REFERENCES platforms(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('deep', 'search')),
+  country_code VARCHAR(10),
+  template TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_platform_link_templates_unique
+  ON platform_link_templates(platform_id, kind, COALESCE(country_code, ''));
+
+INSERT INTO platform_link_templates (platform_id, kind, country_code, template) VALUES
+  ('netflix', 'search', NULL, 'https://www.netflix.com/search?q={title}'),
+  ('amazon-prime', 'search', NULL, 'https://www.primevideo.com/search/?phrase={title}'),
+  ('disney', 'search', NULL, 'https://www.disneyplus.com/search?q={title}'),
+  ('apple-tv', 'search', NULL, 'https://tv.apple.com/{country}/search?term={title}'),
+  ('paramount', 'search', NULL, 'https://www.paramountplus.com/search/?q={title}'),
+  ('mubi', 'search', NULL, 'https://mubi.com/search/films?query={title}'),
+  ('canal', 'search', NULL, 'https://www.canalplus.com/recherche/?q={title}'),
+  ('france-tv', 'search', NULL, 'https://www.france.tv/recherche/?q={title}'),
+  ('arte', 'search', NULL, 'https://www.arte.tv/fr/search/?q={title}'),
+  ('crunchyroll', 'search', NULL, 'https://www.crunchyroll.com/search?q={title}'),
+  ('youtube', 'search', NULL, 'https://www.youtube.com/results?search_query={title}'),
+  ('google-play', 'search', NULL, 'https://play.google.com/store/search?q={title}&c=movies'),
+  ('rakuten-tv', 'search', NULL, 'https://www.rakuten.tv/{country}/search?q={title}');
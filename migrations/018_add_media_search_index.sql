@@ -0,0 +1,29 @@
+-- Recherche locale tolérante (fautes de frappe, accents) sur les métadonnées en cache,
+-- utilisée quand TMDB est lent, indisponible ou ne trouve rien.
+--
+-- Prérequis : les extensions pg_trgm et unaccent (paquet postgresql-contrib). Les créer demande le droit
+-- CREATE sur la base (extensions "trusted", PostgreSQL 13+) ou un superutilisateur. Sinon, les créer
+-- une fois en superutilisateur avant "npm run migrate" ; la migration s'arrête avec ce conseil.
+DO $$
+DECLARE
+  ext TEXT;
+BEGIN
+  FOREACH ext IN ARRAY ARRAY['pg_trgm', 'unaccent'] LOOP
+    BEGIN
+      EXECUTE format('CREATE EXTENSION IF NOT EXISTS %I', ext);
+    EXCEPTION WHEN insufficient_privilege OR undefined_file THEN
+      RAISE EXCEPTION 'Extension % cannot be created by role %: %', ext, current_user, SQLERRM
+        USING HINT = format('Run "CREATE EXTENSION IF NOT EXISTS %s;" as a superuser (package postgresql-contrib), then "npm run migrate" again.', ext);
+    END;
+  END LOOP;
+END $$;
+
+-- unaccent n'est pas IMMUTABLE (dépend du dictionnaire) : wrapper pour pouvoir l'indexer.
+-- search_path fixé pour trouver les extensions installées dans public ou extensions (Supabase).
+CREATE OR REPLACE FUNCTION search_normalize(value TEXT) RETURNS TEXT
+  LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+  SET search_path = public, extensions
+  AS $$ SELECT lower(unaccent('unaccent', value)) $$;
+
+CREATE INDEX idx_media_search_trgm ON media
+  USING gin (search_normalize(COALESCE(title, '') || ' ' || COALESCE(original_title, '')) gin_trgm_ops);
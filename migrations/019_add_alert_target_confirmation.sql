@@ -0,0 +1,9 @@
+-- Double opt-in des cibles qui appartiennent à un tiers (email) : l'alerte ne part qu'une fois
+-- le lien envoyé à l'adresse ouvert. Un lien confirme toutes les alertes de l'appareil vers cette adresse.
+-- Les alertes existantes sont considérées comme confirmées.
+ALTER TABLE alert_rules ADD COLUMN confirmed_at TIMESTAMP;
+ALTER TABLE alert_rules ADD COLUMN confirmation_token_hash VARCHAR(64);
+UPDATE alert_rules SET confirmed_at = created_at;
+
+CREATE UNIQUE INDEX idx_alert_rules_confirmation ON alert_rules(confirmation_token_hash)
+  WHERE confirmation_token_hash IS NOT NULL;
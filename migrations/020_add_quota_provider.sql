@@ -0,0 +1,6 @@
+-- Un compteur de quota par source payante (streaming-availability, unogs)
+ALTER TABLE api_quota_usage ADD COLUMN provider VARCHAR(50) NOT NULL DEFAULT 'streaming-availability';
+
+ALTER TABLE api_quota_usage DROP CONSTRAINT IF EXISTS api_quota_usage_usage_date_endpoint_tmdb_id_media_type_key;
+ALTER TABLE api_quota_usage ADD CONSTRAINT api_quota_usage_provider_key
+  UNIQUE (provider, usage_date, endpoint, tmdb_id, media_type);
@@ -0,0 +1,122 @@
+// ============================================
+// ADDON / CHANNEL RULES
+// ============================================
+// Un addon (ex. "Canal+ Amazon Channel" vendu via Prime Video) est rattaché à une plateforme
+// du catalogue (map), gardé comme addon de la plateforme hôte (keep) ou ignoré (drop),
+// selon la table addon_rules chargée en mémoire (comme le catalogue des plateformes).
+//
+// Règle retenue : d'abord celles qui ont un pattern (sinon la règle par défaut de l'hôte),
+// puis la plus spécifique (pays, puis hôte), puis la priorité la plus haute.
+// Sans aucune règle, l'addon est gardé. Un addon sans nom ne peut matcher aucun pattern :
+// seule la règle par défaut de l'hôte s'applique (ex. drop pour Prime Video), et il n'est pas rapporté.
+//
+// Les addons qui n'ont matché aucune règle à pattern sont comptés en mémoire puis écrits
+// dans unmapped_addons (rapport admin) par flushUnmappedAddons.
+const ADDON_ACTIONS = ['map', 'keep', 'drop'];
+
+let rules = [];
+const unmappedSightings = new Map();
+
+async function loadAddonRules(db) {
+  const result = await db.query(
+    `SELECT r.id, r.country_code, r.pattern, r.action, r.priority,
+            h.name AS host_platform, t.name AS target_platform
+     FROM addon_rules r
+     LEFT JOIN platforms h ON h.id = r.host_platform_id
+     LEFT JOIN platforms t ON t.id = r.target_platform_id`
+  );
+
+  const next = [];
+  for (const rule of result.rows) {
+    try {
+      next.push({ ...rule, regex: rule.pattern ? new RegExp(rule.pattern, 'i') : null });
+    } catch (error) {
+      console.error(`❌ Invalid addon rule pattern #${rule.id} (${rule.pattern}):`, error.message);
+    }
+  }
+
+  next.sort((a, b) =>
+    Number(!a.regex) - Number(!b.regex) ||
+    Number(!a.country_code) - Number(!b.country_code) ||
+    Number(!a.host_platform) - Number(!b.host_platform) ||
+    b.priority - a.priority ||
+    a.id - b.id
+  );
+  rules = next;
+  return rules.length;
+}
+
+function findAddonRule(hostPlatform, countryCode, addonName) {
+  return rules.find(rule =>
+    (!rule.host_platform || rule.host_platform === hostPlatform) &&
+    (!rule.country_code || rule.country_code === countryCode) &&
+    (!rule.regex || (!!addonName && rule.regex.test(addonName)))
+  ) || null;
+}
+
+/**
+ * Décision pour un addon : { action: 'map' | 'keep' | 'drop', platform, rule_id }.
+ * platform est le nom de la plateforme à utiliser (cible pour map, hôte sinon).
+ * context ({ tmdbId, mediaType }) sert au rapport des addons non mappés.
+ */
+function resolveAddon(hostPlatform, countryCode, addonName, context = {}) {
+  const rule = findAddonRule(hostPlatform, countryCode, addonName);
+
+  if (addonName && (!rule || !rule.regex)) {
+    const key = `${hostPlatform}|${countryCode}|${addonName}`;
+    const sighting = unmappedSightings.get(key) || { hostPlatform, countryCode, addonName, occurrences: 0 };
+    sighting.occurrences++;
+    sighting.tmdbId = context.tmdbId || null;
+    sighting.mediaType = context.mediaType || null;
+    unmappedSightings.set(key, sighting);
+  }
+
+  if (!rule) return { action: 'keep', platform: hostPlatform, rule_id: null };
+  return {
+    action: rule.action,
+    platform: rule.action === 'map' ? rule.target_platform : hostPlatform,
+    rule_id: rule.id
+  };
+}
+
+async function flushUnmappedAddons(db) {
+  if (unmappedSightings.size === 0) return 0;
+
+  const sightings = Array.from(unmappedSightings.values());
+  unmappedSightings.clear();
+
+  try {
+    await db.query(
+      `INSERT INTO unmapped_addons (host_platform, country_code, addon_name, occurrences, last_tmdb_id, last_media_type)
+       SELECT * FROM unnest($1::text[], $2::text[], $3::text[], $4::int[], $5::int[], $6::text[])
+       ON CONFLICT (host_platform, country_code, addon_name)
+       DO UPDATE SET occurrences = unmapped_addons.occurrences + EXCLUDED.occurrences,
+                     last_tmdb_id = COALESCE(EXCLUDED.last_tmdb_id, unmapped_addons.last_tmdb_id),
+                     last_media_type = COALESCE(EXCLUDED.last_media_type, unmapped_addons.last_media_type),
+                     last_seen_at = CURRENT_TIMESTAMP`,
+      [sightings.map(s => s.hostPlatform), sightings.map(s => s.countryCode), sightings.map(s => s.addonName),
+       sightings.map(s => s.occurrences), sightings.map(s => s.tmdbId), sightings.map(s => s.mediaType)]
+    );
+  } catch (error) {
+    // Écriture ratée : on remet les compteurs (cumulés avec ceux vus entre-temps) pour le prochain flush
+    for (const sighting of sightings) {
+      const key = `${sighting.hostPlatform}|${sighting.countryCode}|${sighting.addonName}`;
+      const current = unmappedSightings.get(key);
+      if (current) {
+        current.occurrences += sighting.occurrences;
+      } else {
+        unmappedSightings.set(key, sighting);
+      }
+    }
+    throw error;
+  }
+  return sightings.length;
+}
+
+module.exports = {
+  ADDON_ACTIONS,
+  loadAddonRules,
+  findAddonRule,
+  resolveAddon,
+  flushUnmappedAddons
+};
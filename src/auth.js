@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+// ============================================
+// ADMIN AUTHENTICATION
+// ============================================
+// Rôles par ordre de privilège : un rôle donne accès à tout ce qu'autorisent les précédents.
+// - debug : routes /api/debug* et /api/test-* (consomment du quota payant)
+// - admin : tout, y compris les routes destructives
+const ROLES = ['debug', 'admin'];
+
+function hashToken(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+async function createApiKey(db, name, role = 'admin') {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}". Available: ${ROLES.join(', ')}`);
+  }
+
+  const key = `vfk_${crypto.randomBytes(24).toString('base64url')}`;
+  const result = await db.query(
+    'INSERT INTO api_keys (name, key_prefix, key_hash, role) VALUES ($1, $2, $3, $4) RETURNING id, name, key_prefix, role, created_at',
+    [name, key.slice(0, 12), hashToken(key), role]
+  );
+
+  return { ...result.rows[0], key };
+}
+
+async function listApiKeys(db) {
+  const result = await db.query(
+    'SELECT id, name, key_prefix, role, created_at, last_used_at, revoked_at FROM api_keys ORDER BY id'
+  );
+  return result.rows;
+}
+
+async function revokeApiKey(db, id) {
+  const result = await db.query(
+    'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+    [id]
+  );
+  return result.rowCount > 0;
+}
+
+// last_used_at n'est réécrit qu'une fois par intervalle : pas d'UPDATE à chaque requête authentifiée
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+async function findApiKey(db, key) {
+  const result = await db.query(
+    'SELECT id, name, role, last_used_at FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+    [hashToken(key)]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() >= LAST_USED_RESOLUTION_MS) {
+    db.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id])
+      .catch(error => console.error('API key last_used_at error:', error.message));
+  }
+
+  const { last_used_at, ...apiKey } = row;
+  return apiKey;
+}
+
+// Clé passée en "Authorization: Bearer <key>" ou en "X-API-Key: <key>"
+function extractApiKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Middleware global : si une clé est fournie, la vérifie et l'expose dans req.apiKey
+ * (utilisée aussi par le rate limiting). Une clé invalide est refusée plutôt qu'ignorée.
+ */
+function authenticate(db) {
+  return async (req, res, next) => {
+    const key = extractApiKey(req);
+    if (!key) return next();
+
+    try {
+      const apiKey = await findApiKey(db, key);
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      console.error('Auth error:', error.message);
+      res.status(500).json({ error: 'Authentication failed' });
+    }
+  };
+}
+
+/**
+ * Middleware : exige une clé (vérifiée par authenticate) avec au moins le rôle demandé.
+ */
+function requireRole(role) {
+  const minLevel = ROLES.indexOf(role);
+
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (ROLES.indexOf(req.apiKey.role) < minLevel) {
+      return res.status(403).json({ error: `Role "${role}" required` });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware pour les routes destructives : l'appelant doit renvoyer le mot de
+ * confirmation attendu, dans le body ({ "confirm": "..." }) ou en header X-Confirm.
+ */
+function requireConfirmation(expected) {
+  return (req, res, next) => {
+    const confirm = (req.body && req.body.confirm) || req.get('x-confirm');
+    if (confirm !== expected) {
+      return res.status(400).json({ error: `Confirmation required: send { "confirm": "${expected}" }` });
+    }
+    next();
+  };
+}
+
+// ============================================
+// ANONYMOUS DEVICES (watchlists)
+// ============================================
+// Pas de compte utilisateur : l'appareil reçoit un token à la création, envoyé ensuite
+// en header X-Device-Token. Comme pour les clés d'API, seul le hash est stocké.
+
+async function createDevice(db) {
+  const token = `vfd_${crypto.randomBytes(24).toString('base64url')}`;
+  const result = await db.query(
+    'INSERT INTO devices (token_hash) VALUES ($1) RETURNING id, created_at',
+    [hashToken(token)]
+  );
+  return { ...result.rows[0], token };
+}
+
+// Token du lien de confirmation d'une cible d'alerte (email) : seul le hash est stocké
+function createConfirmationToken() {
+  const token = `vfc_${crypto.randomBytes(24).toString('base64url')}`;
+  return { token, hash: hashToken(token) };
+}
+
+/**
+ * Middleware : exige un token d'appareil valide, exposé dans req.device.
+ */
+function requireDevice(db) {
+  return async (req, res, next) => {
+    try {
+      const token = req.get('x-device-token');
+      if (!token) {
+        return res.status(401).json({ error: 'Device token required' });
+      }
+
+      const result = await db.query(
+        'UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP WHERE token_hash = $1 RETURNING id',
+        [hashToken(token)]
+      );
+      if (result.rows.length === 0) {
+        return res.status(401).json({ error: 'Unknown device token' });
+      }
+
+      req.device = result.rows[0];
+      next();
+    } catch (error) {
+      console.error('Device auth error:', error.message);
+      res.status(500).json({ error: 'Authentication failed' });
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticate,
+  requireRole,
+  requireConfirmation,
+  hashToken,
+  createDevice,
+  createConfirmationToken,
+  requireDevice
+};
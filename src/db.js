@@ -0,0 +1,9 @@
+const { Pool } = require('pg');
+
+// PostgreSQL connection (partagée par le serveur et la CLI)
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+module.exports = { pool };
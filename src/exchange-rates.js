@@ -0,0 +1,62 @@
+const axios = require('axios');
+
+// ============================================
+// EXCHANGE RATES (conversion des prix en EUR)
+// ============================================
+// Table exchange_rates chargée en mémoire : les prix sont convertis à la lecture,
+// sans requête supplémentaire. Taux de référence BCE importés par "node cli.js rates update".
+const ECB_RATES_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+
+let ratesToEur = new Map([['EUR', 1]]);
+
+async function loadExchangeRates(db) {
+  const result = await db.query('SELECT currency, rate_to_eur FROM exchange_rates');
+  ratesToEur = new Map(result.rows.map(row => [row.currency, parseFloat(row.rate_to_eur)]));
+  ratesToEur.set('EUR', 1);
+  return ratesToEur.size;
+}
+
+/**
+ * Montant en EUR (arrondi au centime), ou null si le montant ou le taux est inconnu.
+ */
+function convertToEur(amount, currency) {
+  if (amount === null || amount === undefined || !currency) return null;
+  const rate = ratesToEur.get(String(currency).toUpperCase());
+  if (!rate) return null;
+  return Math.round(parseFloat(amount) * rate * 100) / 100;
+}
+
+async function saveExchangeRates(db, rates, source = 'manual') {
+  const entries = Object.entries(rates);
+  if (entries.length === 0) return 0;
+
+  await db.query(
+    `INSERT INTO exchange_rates (currency, rate_to_eur, source, updated_at)
+     SELECT t.currency, t.rate_to_eur, $3::text, CURRENT_TIMESTAMP
+     FROM unnest($1::text[], $2::numeric[]) AS t(currency, rate_to_eur)
+     ON CONFLICT (currency)
+     DO UPDATE SET rate_to_eur = EXCLUDED.rate_to_eur, source = EXCLUDED.source, updated_at = CURRENT_TIMESTAMP`,
+    [entries.map(([currency]) => currency.toUpperCase()), entries.map(([, rate]) => rate), source]
+  );
+  return entries.length;
+}
+
+// La BCE publie 1 EUR = X devise : rate_to_eur = 1 / X
+async function fetchEcbRates() {
+  const response = await axios.get(ECB_RATES_URL, { timeout: 10000, responseType: 'text' });
+  const rates = {};
+  for (const [, currency, rate] of String(response.data).matchAll(/currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g)) {
+    rates[currency] = 1 / parseFloat(rate);
+  }
+  if (Object.keys(rates).length === 0) {
+    throw new Error('No rates found in the ECB response');
+  }
+  return rates;
+}
+
+module.exports = {
+  loadExchangeRates,
+  convertToEur,
+  saveExchangeRates,
+  fetchEcbRates
+};
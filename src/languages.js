@@ -0,0 +1,122 @@
+// ============================================
+// LANGUAGES
+// ============================================
+// Une entrée par communauté de doublage servie par l'API (?lang=fr|es|de|it) :
+// - code : code ISO 639-2/T des pistes audio / sous-titres recherchées
+// - tmdb_locale : langue des métadonnées TMDB
+// - priority_countries : pays affichés en premier
+// - speaking_countries : pays où la langue est supposée disponible quand la source ne donne pas les pistes
+const LANGUAGES = {
+  fr: {
+    code: 'fra',
+    label: 'VF',
+    tmdb_locale: 'fr-FR',
+    priority_countries: ['FR', 'BE', 'CH', 'LU', 'CA'],
+    speaking_countries: ['FR', 'BE', 'CH', 'LU', 'CA', 'MC', 'SN', 'CI', 'ML', 'MG', 'CM', 'HT']
+  },
+  es: {
+    code: 'spa',
+    label: 'Doblaje',
+    tmdb_locale: 'es-ES',
+    priority_countries: ['ES', 'MX', 'AR', 'CO', 'CL'],
+    speaking_countries: ['ES', 'MX', 'AR', 'CO', 'CL', 'PE', 'VE', 'EC', 'GT', 'CU', 'BO', 'DO', 'HN', 'PY', 'SV', 'NI', 'CR', 'PA', 'UY', 'PR', 'GQ']
+  },
+  de: {
+    code: 'deu',
+    label: 'Synchro',
+    tmdb_locale: 'de-DE',
+    priority_countries: ['DE', 'AT', 'CH', 'LU', 'LI'],
+    speaking_countries: ['DE', 'AT', 'CH', 'LU', 'LI']
+  },
+  it: {
+    code: 'ita',
+    label: 'Doppiaggio',
+    tmdb_locale: 'it-IT',
+    priority_countries: ['IT', 'CH', 'SM', 'VA'],
+    speaking_countries: ['IT', 'CH', 'SM', 'VA']
+  }
+};
+
+const DEFAULT_LANGUAGE = LANGUAGES[process.env.DEFAULT_LANGUAGE] ? process.env.DEFAULT_LANGUAGE : 'fr';
+
+// Config de la langue demandée ; null si elle n'est pas supportée
+function getLanguageConfig(lang) {
+  // ?lang=fr&lang=es donne un tableau : refusé comme une langue inconnue
+  if (lang !== undefined && lang !== null && typeof lang !== 'string') return null;
+  const key = (lang || DEFAULT_LANGUAGE).toLowerCase();
+  return LANGUAGES[key] ? { key, ...LANGUAGES[key] } : null;
+}
+
+const countryNameFormatters = new Map();
+
+// Nom du pays dans la langue demandée (Intl), ou null si inconnu
+function getLocalizedCountryName(code, lang) {
+  try {
+    if (!countryNameFormatters.has(lang)) {
+      countryNameFormatters.set(lang, new Intl.DisplayNames([lang], { type: 'region' }));
+    }
+    const name = countryNameFormatters.get(lang).of(code);
+    return name && name !== code ? name : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Les sources mélangent ISO 639-1 ("fr"), 639-2/B ("fre") et 639-2/T ("fra").
+// Tout est ramené au code 639-2/T (3 lettres) avant stockage.
+const LANGUAGE_ALIASES = {
+  fr: 'fra', fre: 'fra',
+  en: 'eng',
+  es: 'spa',
+  de: 'deu', ger: 'deu',
+  it: 'ita',
+  pt: 'por',
+  nl: 'nld', dut: 'nld',
+  ja: 'jpn',
+  ko: 'kor',
+  zh: 'zho', chi: 'zho',
+  ar: 'ara',
+  ru: 'rus',
+  pl: 'pol',
+  sv: 'swe',
+  da: 'dan',
+  no: 'nor', nb: 'nob',
+  fi: 'fin',
+  tr: 'tur',
+  cs: 'ces', cze: 'ces',
+  el: 'ell', gre: 'ell',
+  hu: 'hun',
+  ro: 'ron', rum: 'ron',
+  he: 'heb',
+  hi: 'hin',
+  th: 'tha',
+  ca: 'cat'
+};
+
+function normalizeLanguageCode(code) {
+  if (!code) return null;
+  const lower = String(code).toLowerCase().split(/[-_]/)[0];
+  return LANGUAGE_ALIASES[lower] || lower;
+}
+
+/**
+ * Niveau de confiance pour une langue sur une disponibilité :
+ * - confirmed : la piste figure dans les données de la source
+ * - inferred  : la source ne donne pas les langues, mais le pays la rend probable
+ * - absent    : sinon
+ */
+function getLanguageConfidence(tracks, language, languagesKnown, likelyInCountry) {
+  const code = normalizeLanguageCode(language);
+  if (tracks.some(track => track.language === code)) return 'confirmed';
+  if (!languagesKnown && likelyInCountry) return 'inferred';
+  return 'absent';
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getLanguageConfig,
+  getLocalizedCountryName,
+  normalizeLanguageCode,
+  getLanguageConfidence
+};
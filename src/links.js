@@ -0,0 +1,145 @@
+// ============================================
+// LINK RESOLUTION
+// ============================================
+// Chaque disponibilité porte un link_kind :
+//   direct      page du titre sur la plateforme
+//   search      recherche du titre sur la plateforme (modèle platform_link_templates)
+//   homepage    accueil de la plateforme
+//   aggregator  page "où regarder" d'un agrégateur (TMDB, JustWatch...), pas propre à la plateforme
+// Les modèles et les pages d'accueil sont chargés en mémoire, comme le catalogue des plateformes.
+const LINK_KINDS = ['direct', 'search', 'homepage', 'aggregator'];
+const TEMPLATE_KINDS = ['deep', 'search'];
+const TEMPLATE_VARIABLES = ['title', 'original_title', 'year', 'tmdb_id', 'media_type', 'country'];
+
+const AGGREGATOR_HOSTS = ['themoviedb.org', 'justwatch.com', 'reelgood.com', 'unogs.com'];
+
+// nom de plateforme → { homepage_url, templates: [{ kind, country_code, template }] }
+let linkConfig = new Map();
+
+async function loadLinkTemplates(db) {
+  const [platforms, templates] = await Promise.all([
+    db.query('SELECT id, name, homepage_url FROM platforms'),
+    db.query('SELECT platform_id, kind, country_code, template FROM platform_link_templates ORDER BY id')
+  ]);
+
+  const byId = new Map(platforms.rows.map(platform => [platform.id, { homepage_url: platform.homepage_url, templates: [] }]));
+  for (const template of templates.rows) {
+    byId.get(template.platform_id)?.templates.push(template);
+  }
+
+  linkConfig = new Map(platforms.rows.map(platform => [platform.name, byId.get(platform.id)]));
+  return templates.rows.length;
+}
+
+const hostOf = (url) => url.hostname.replace(/^www\./, '');
+
+// Partie fixe d'un modèle (avant la première variable), pour reconnaître une URL de recherche
+const templatePrefix = (template) => template.split('{')[0];
+
+function classifyLink(streamingUrl, platformName) {
+  if (!streamingUrl) return null;
+
+  let url;
+  try {
+    url = new URL(streamingUrl);
+  } catch (error) {
+    return null;
+  }
+
+  const host = hostOf(url);
+  if (AGGREGATOR_HOSTS.some(aggregator => host === aggregator || host.endsWith(`.${aggregator}`))) {
+    return 'aggregator';
+  }
+
+  const config = linkConfig.get(platformName);
+  if (config && config.templates.some(({ kind, template }) => kind === 'search' && templatePrefix(template) &&
+      streamingUrl.startsWith(templatePrefix(template)))) {
+    return 'search';
+  }
+
+  if ((url.pathname === '/' || url.pathname === '') && !url.search) {
+    return 'homepage';
+  }
+  return 'direct';
+}
+
+/**
+ * URL construite depuis le modèle deep | search de la plateforme (celui du pays d'abord),
+ * ou null s'il n'y en a pas ou qu'une variable manque. context : { title, original_title, year }.
+ */
+function buildLink(kind, avail, context = {}) {
+  const config = linkConfig.get(avail.platform);
+  if (!config) return null;
+
+  const template = config.templates.find(t => t.kind === kind && t.country_code === avail.country_code) ||
+    config.templates.find(t => t.kind === kind && !t.country_code);
+  if (!template) return null;
+
+  const values = {
+    title: context.title,
+    original_title: context.original_title,
+    year: context.year,
+    tmdb_id: avail.tmdb_id,
+    media_type: avail.media_type,
+    country: avail.country_code ? avail.country_code.toLowerCase() : null
+  };
+
+  let missing = false;
+  const url = template.template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = values[name];
+    if (value === null || value === undefined || value === '') {
+      missing = true;
+      return placeholder;
+    }
+    return encodeURIComponent(value);
+  });
+  return missing ? null : url;
+}
+
+/**
+ * Meilleur lien d'une disponibilité : lien direct de la source, sinon modèle deep, lien de recherche
+ * (source ou modèle), page d'accueil (source ou catalogue), et en dernier recours la page agrégateur.
+ * Retourne { streaming_url, link_kind }.
+ */
+function resolveLink(avail, context = {}) {
+  const kind = classifyLink(avail.streaming_url, avail.platform);
+  if (kind === 'direct') return { streaming_url: avail.streaming_url, link_kind: 'direct' };
+
+  const deepLink = buildLink('deep', avail, context);
+  if (deepLink) return { streaming_url: deepLink, link_kind: 'direct' };
+
+  if (kind === 'search') return { streaming_url: avail.streaming_url, link_kind: 'search' };
+  const searchLink = buildLink('search', avail, context);
+  if (searchLink) return { streaming_url: searchLink, link_kind: 'search' };
+
+  if (kind === 'homepage') return { streaming_url: avail.streaming_url, link_kind: 'homepage' };
+  const homepage = linkConfig.get(avail.platform)?.homepage_url;
+  if (homepage) return { streaming_url: homepage, link_kind: 'homepage' };
+
+  return { streaming_url: avail.streaming_url || null, link_kind: kind };
+}
+
+// Erreur de modèle (kind, variables inconnues) ou null
+function validateLinkTemplate({ kind, template }) {
+  if (!TEMPLATE_KINDS.includes(kind)) {
+    return `kind must be one of: ${TEMPLATE_KINDS.join(', ')}`;
+  }
+  if (!template || !/^https?:\/\//.test(template)) {
+    return 'template must be an http(s) URL';
+  }
+  const unknown = [...template.matchAll(/\{(\w+)\}/g)].map(([, name]) => name).find(name => !TEMPLATE_VARIABLES.includes(name));
+  if (unknown) {
+    return `Unknown variable {${unknown}}. Available: ${TEMPLATE_VARIABLES.map(name => `{${name}}`).join(', ')}`;
+  }
+  return null;
+}
+
+module.exports = {
+  LINK_KINDS,
+  TEMPLATE_KINDS,
+  loadLinkTemplates,
+  classifyLink,
+  buildLink,
+  resolveLink,
+  validateLinkTemplate
+};
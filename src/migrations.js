@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+// Fichiers migrations/NNN_description.sql, appliqués dans l'ordre, une seule fois.
+// Une migration appliquée ne doit plus être modifiée : on en ajoute une nouvelle.
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.sql$/.test(file))
+    .map(file => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return {
+        version: parseInt(file, 10),
+        name: file.replace(/^\d+_/, '').replace(/\.sql$/, ''),
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file} / ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * État de chaque migration : applied, pending, ou modified (fichier changé après application).
+ * Les versions présentes en base sans fichier correspondant sont signalées comme missing.
+ */
+async function getMigrationStatus(db) {
+  await ensureMigrationsTable(db);
+  const migrations = loadMigrations();
+  const result = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  const applied = new Map(result.rows.map(row => [row.version, row]));
+
+  const status = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    applied.delete(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      status: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'modified',
+      applied_at: row ? row.applied_at : null
+    };
+  });
+
+  for (const row of applied.values()) {
+    status.push({ version: row.version, name: row.name, status: 'missing', applied_at: row.applied_at });
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+async function getPendingMigrations(db) {
+  const status = await getMigrationStatus(db);
+  return status.filter(migration => migration.status === 'pending');
+}
+
+/**
+ * Applique les migrations en attente, chacune dans sa transaction.
+ * Le verrou advisory empêche deux instances de migrer en même temps.
+ */
+async function runMigrations(pool, log = console.log) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(`SELECT pg_advisory_lock(hashtext('schema_migrations'))`);
+    await ensureMigrationsTable(client);
+
+    const applied = await client.query('SELECT version FROM schema_migrations');
+    const appliedVersions = new Set(applied.rows.map(row => row.version));
+    const pending = loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+
+    for (const migration of pending) {
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+        log(`✅ Migration ${migration.file} applied`);
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        // Le HINT Postgres (ex. extension à créer en superutilisateur) dit quoi faire
+        throw new Error(`Migration ${migration.file} failed: ${error.message}${error.hint ? `\n   Hint: ${error.hint}` : ''}`);
+      }
+    }
+
+    return pending;
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock(hashtext('schema_migrations'))`).catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = { loadMigrations, getMigrationStatus, getPendingMigrations, runMigrations };
@@ -0,0 +1,140 @@
+const dns = require('dns').promises;
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// ============================================
+// NOTIFIERS
+// ============================================
+// Un notifier = { validateTarget(target), send(target, notification), requiresConfirmation? }.
+// notification : { subject, text, payload } ; payload est le JSON envoyé aux webhooks.
+// requiresConfirmation : la cible appartient à un tiers (adresse email) ; l'alerte ne devient active
+// qu'une fois le lien de confirmation envoyé à la cible ouvert (double opt-in).
+// Pour en ajouter un (push, Telegram...) : registerNotifier('nom', { ... }).
+const notifiers = new Map();
+
+function registerNotifier(name, notifier) {
+  notifiers.set(name, notifier);
+}
+
+function getNotifier(name) {
+  return notifiers.get(name) || null;
+}
+
+function listNotifiers() {
+  return Array.from(notifiers.keys());
+}
+
+// Les cibles sont fournies par des utilisateurs anonymes : pas d'appel vers le réseau interne,
+// sauf en local (ALLOW_PRIVATE_WEBHOOKS=true) pour tester avec un serveur de test.
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127);
+  }
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+  return lower === '::1' || lower === '::' || lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80');
+}
+
+// lookup qui renvoie toujours les adresses déjà vérifiées, quel que soit le DNS au moment de la connexion
+function pinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  };
+}
+
+/**
+ * Vérifie qu'une URL ne vise pas le réseau interne et retourne les options axios
+ * ({ httpAgent, httpsAgent }) qui épinglent la connexion sur les adresses vérifiées :
+ * un DNS qui change entre la vérification et l'appel (DNS rebinding) ne peut pas la contourner.
+ * À appeler juste avant chaque envoi, avec les options retournées.
+ */
+async function assertPublicUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error('Only http(s) URLs are allowed');
+  }
+  if (process.env.ALLOW_PRIVATE_WEBHOOKS === 'true') return {};
+
+  const addresses = await dns.lookup(parsed.hostname, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`Refusing to call private address for ${parsed.hostname}`);
+  }
+
+  const lookup = pinnedLookup(addresses.map(({ address, family }) => ({ address, family })));
+  return {
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup })
+  };
+}
+
+registerNotifier('webhook', {
+  validateTarget(target) {
+    try {
+      const parsed = new URL(target);
+      return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  async send(target, notification) {
+    const agents = await assertPublicUrl(target);
+    await axios.post(target, notification.payload, {
+      ...agents,
+      timeout: 10000,
+      maxRedirects: 0,
+      headers: { 'User-Agent': 'vf-movie-backend' }
+    });
+  }
+});
+
+// SMTP configuré par SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS / SMTP_FROM.
+// En local, n'importe quel serveur SMTP de test (MailHog, smtp4dev...) sur localhost:1025 convient.
+let smtpTransport = null;
+
+function getSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+  if (!smtpTransport) {
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return smtpTransport;
+}
+
+registerNotifier('email', {
+  requiresConfirmation: true,
+
+  validateTarget(target) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target);
+  },
+
+  async send(target, notification) {
+    await getSmtpTransport().sendMail({
+      from: process.env.SMTP_FROM || 'vf-movie-backend <no-reply@localhost>',
+      to: target,
+      subject: notification.subject,
+      text: notification.text
+    });
+  }
+});
+
+module.exports = { registerNotifier, getNotifier, listNotifiers, assertPublicUrl };
@@ -0,0 +1,109 @@
+// ============================================
+// PLATFORM CATALOGUE
+// ============================================
+// Les tables platforms / platform_aliases sont chargées en mémoire : les adapters résolvent
+// les noms de manière synchrone pendant la normalisation. Le catalogue est rechargé après
+// chaque modification admin et périodiquement (modifications faites par une autre instance).
+//
+// Résolution d'une plateforme vue chez une source, dans cet ordre :
+//   1. id de la source (service Streaming Availability, provider TMDB)
+//   2. nom brut exact (insensible à la casse)
+//   3. nom brut par pattern (regex)
+//   4. sinon le nom brut est gardé tel quel
+const UPSTREAMS = ['streaming-availability', 'tmdb', 'name'];
+
+let catalogue = {
+  platforms: [],
+  byId: new Map(),
+  byUpstreamId: new Map(),
+  byExactName: new Map(),
+  patterns: []
+};
+
+const upstreamKey = (upstream, value) => `${upstream}:${String(value).toLowerCase()}`;
+
+async function loadPlatforms(db) {
+  const [platforms, aliases] = await Promise.all([
+    db.query('SELECT id, name, logo_url, homepage_url, countries FROM platforms ORDER BY name'),
+    db.query('SELECT id, platform_id, upstream, match_type, value FROM platform_aliases ORDER BY id')
+  ]);
+
+  const next = {
+    platforms: platforms.rows,
+    byId: new Map(platforms.rows.map(platform => [platform.id, platform])),
+    byUpstreamId: new Map(),
+    byExactName: new Map(),
+    patterns: []
+  };
+
+  for (const alias of aliases.rows) {
+    const platform = next.byId.get(alias.platform_id);
+    if (alias.match_type === 'pattern') {
+      try {
+        next.patterns.push({ regex: new RegExp(alias.value, 'i'), platform });
+      } catch (error) {
+        console.error(`❌ Invalid platform alias pattern #${alias.id} (${alias.value}):`, error.message);
+      }
+    } else if (alias.upstream === 'name') {
+      next.byExactName.set(alias.value.toLowerCase(), platform);
+    } else {
+      next.byUpstreamId.set(upstreamKey(alias.upstream, alias.value), platform);
+    }
+  }
+
+  // Le nom canonique et l'id sont toujours des alias de nom valides
+  for (const platform of next.platforms) {
+    next.byExactName.set(platform.name.toLowerCase(), platform);
+    if (!next.byExactName.has(platform.id)) next.byExactName.set(platform.id, platform);
+  }
+
+  catalogue = next;
+  return next.platforms.length;
+}
+
+function findPlatformByName(rawName) {
+  if (!rawName) return null;
+  const name = String(rawName).trim();
+  return catalogue.byExactName.get(name.toLowerCase()) ||
+    catalogue.patterns.find(({ regex }) => regex.test(name))?.platform ||
+    null;
+}
+
+/**
+ * Nom canonique d'une plateforme vue chez une source (upstream, id de la source, nom brut).
+ */
+function resolvePlatformName(upstream, upstreamId, rawName) {
+  const platform = (upstreamId !== undefined && upstreamId !== null && catalogue.byUpstreamId.get(upstreamKey(upstream, upstreamId))) ||
+    findPlatformByName(rawName);
+  if (platform) return platform.name;
+  return rawName ? String(rawName).trim() : String(upstreamId);
+}
+
+// Paramètre utilisateur (?platform=netflix, prime, "Prime Video"...) → plateforme du catalogue ou null.
+// Les ids de service Streaming Availability restent acceptés (anciennes clés de filtre).
+function findPlatform(value) {
+  return catalogue.byId.get(String(value).toLowerCase()) ||
+    catalogue.byUpstreamId.get(upstreamKey('streaming-availability', value)) ||
+    findPlatformByName(value);
+}
+
+// Ids d'une plateforme du catalogue chez une source (ex. providers TMDB pour with_watch_providers)
+function getUpstreamIds(platform, upstream) {
+  const prefix = `${upstream}:`;
+  return Array.from(catalogue.byUpstreamId.entries())
+    .filter(([key, candidate]) => candidate === platform && key.startsWith(prefix))
+    .map(([key]) => key.slice(prefix.length));
+}
+
+function listPlatforms() {
+  return catalogue.platforms;
+}
+
+module.exports = {
+  UPSTREAMS,
+  loadPlatforms,
+  resolvePlatformName,
+  findPlatform,
+  getUpstreamIds,
+  listPlatforms
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// PROVIDER FIXTURES (enregistrement / rejeu)
+// ============================================
+// Enveloppe un client axios : en mode "record" chaque réponse est écrite dans dir,
+// en mode "replay" les réponses sont relues depuis dir sans appel réseau (ni clé d'API).
+// Sans mode, le client est utilisé tel quel.
+
+function fixtureFileName(endpoint, params = {}) {
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null)
+    .sort()
+    .map(key => `${key}-${params[key]}`)
+    .join('_');
+  const name = `${endpoint}${query ? `__${query}` : ''}`
+    .replace(/^\/+/, '')
+    .replace(/[^\w.-]+/g, '_');
+  return `${name}.json`;
+}
+
+function withFixtures(client, { dir, mode }) {
+  if (!mode) return client;
+  if (mode !== 'record' && mode !== 'replay') {
+    throw new Error(`Invalid fixtures mode "${mode}" (record | replay)`);
+  }
+
+  return {
+    async get(endpoint, config = {}) {
+      const file = path.join(dir, fixtureFileName(endpoint, config.params));
+
+      if (mode === 'replay') {
+        if (!fs.existsSync(file)) {
+          throw new Error(`Missing fixture ${path.relative(process.cwd(), file)}`);
+        }
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (fixture.status >= 400) {
+          const error = new Error(`Request failed with status code ${fixture.status} (fixture)`);
+          error.response = fixture;
+          throw error;
+        }
+        return fixture;
+      }
+
+      let fixture;
+      try {
+        const response = await client.get(endpoint, config);
+        fixture = { status: response.status, data: response.data };
+        return response;
+      } catch (error) {
+        if (!error.response) throw error;
+        fixture = { status: error.response.status, data: error.response.data };
+        throw error;
+      } finally {
+        if (fixture) {
+          fs.mkdirSync(dir, { recursive: true });
+          fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+        }
+      }
+    }
+  };
+}
+
+module.exports = { withFixtures, fixtureFileName };
@@ -0,0 +1,75 @@
+const { mergeProviderResults } = require('./merge');
+
+// ============================================
+// AVAILABILITY PROVIDERS
+// ============================================
+// Une source de disponibilités = un adapter :
+// {
+//   name: 'tmdb',                 // aussi écrit dans avail.source
+//   priority: 10,                 // la plus haute fournit la ligne de base au merge
+//   cost: 0,                      // requêtes payantes consommées par refresh, sur le quota de la source
+//                                 // (QUOTA_LIMITS) : file de refresh et batch missing=fetch ne lancent
+//                                 // un refresh que si chaque source payante peut encore le payer
+//   confidence: {                 // fiabilité par champ, de 0 à 1 (voir merge.js)
+//     url, quality, audio, subtitles, addon, season, price
+//   },
+//   capabilities: {
+//     languages: false,           // pistes audio / sous-titres réelles
+//     links: true,                // liens profonds vers le titre
+//     seasons: false,             // granularité saison pour les séries
+//     addons: false               // chaînes / addons (Prime Video Channels...)
+//   },
+//   isConfigured() → boolean,     // clé d'API présente, etc.
+//   fetch(tmdbId, mediaType, { db }) → données brutes ou null (peut lever QuotaExceededError) ;
+//     db est le pool, jamais le client qui tient le verrou du refresh,
+//   normalise(tmdbId, raw, mediaType) → lignes au format de la table availabilities
+// }
+// Ajouter une source : écrire l'adapter, l'enregistrer dans index.js, et l'activer via
+// AVAILABILITY_PROVIDERS (liste séparée par des virgules ; par défaut toutes les sources configurées).
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Sources utilisées pour un refresh, par priorité décroissante.
+ */
+function getEnabledProviders() {
+  const wanted = process.env.AVAILABILITY_PROVIDERS
+    ? process.env.AVAILABILITY_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : Array.from(providers.keys());
+
+  for (const name of wanted) {
+    if (!providers.has(name)) {
+      console.warn(`⚠️ Unknown availability provider "${name}" in AVAILABILITY_PROVIDERS`);
+    }
+  }
+
+  return wanted
+    .map(name => providers.get(name))
+    .filter(provider => provider && provider.isConfigured())
+    .sort((a, b) => b.priority - a.priority);
+}
+
+function describeProvider(provider) {
+  return {
+    name: provider.name,
+    priority: provider.priority,
+    cost: provider.cost,
+    capabilities: provider.capabilities,
+    configured: provider.isConfigured()
+  };
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getEnabledProviders,
+  describeProvider,
+  mergeProviderResults
+};
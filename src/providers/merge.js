@@ -0,0 +1,197 @@
+// ============================================
+// FIELD-LEVEL MERGE
+// ============================================
+// Les lignes des différentes sources pour une même plateforme / pays / type / saison sont
+// fusionnées champ par champ. Chaque adapter déclare sa confiance par champ (0 à 1) :
+//   confidence: { url, quality, audio, subtitles, addon, season, price }
+// Pour chaque champ, parmi les sources qui le renseignent, on garde :
+//   1. une source listée dans rule.prefer (dans cet ordre), sinon
+//   2. la confiance la plus haute, puis la priorité de la source.
+// rule.min_confidence écarte les valeurs trop peu fiables. Règles surchargées par la variable
+// d'environnement MERGE_RULES (JSON), ex. {"quality":{"prefer":["tmdb"]},"streaming_url":{"min_confidence":0.5}}.
+// Par défaut les pistes audio / sous-titres Netflix viennent d'uNoGS (voir DEFAULT_MERGE_RULES) ;
+// {"audio":{"prefer":[]}} rend la décision à la confiance.
+//
+// addon_name n'est pas fusionné : comme la saison, il fait partie de la clé de fusion (et de la clé
+// du cache, AVAILABILITY_KEY_COLUMNS), il est donc commun à toutes les candidates d'une ligne.
+//
+// La provenance de chaque champ ({ source, confidence }, null si aucune source) est stockée avec
+// la ligne (colonne provenance) et renvoyée par l'API.
+
+// champ de provenance → comment lire la valeur sur une ligne candidate
+const MERGE_FIELDS = {
+  // Commune à toutes les candidates : seule la provenance (source la plus fiable qui la donne) est choisie
+  season: { confidence: 'season', hasValue: () => true },
+  // Une page agrégateur (TMDB) n'est pas un lien vers la plateforme : seulement en dernier recours
+  streaming_url: { confidence: 'url', hasValue: avail => !!avail.streaming_url && avail.link_kind !== 'aggregator' },
+  quality: { confidence: 'quality', hasValue: avail => !!avail.quality },
+  audio: { confidence: 'audio', hasValue: avail => !!avail.languages_known, byCountry: true },
+  subtitles: { confidence: 'subtitles', hasValue: avail => !!avail.languages_known, byCountry: true },
+  // Les offres location / achat sont séparées par qualité (voir splitByQuality) ; à confiance égale
+  // dans une même ligne, le prix le plus bas (« à partir de »)
+  price: {
+    confidence: 'price',
+    hasValue: avail => avail.price_amount !== null && avail.price_amount !== undefined,
+    tieBreak: (a, b) => a.avail.price_amount - b.avail.price_amount
+  }
+};
+
+const DEFAULT_MERGE_RULES = {
+  season: {},
+  streaming_url: {},
+  quality: {},
+  // uNoGS lit les pistes sur la fiche Netflix du pays : à jour plus vite que Streaming Availability
+  audio: { prefer: ['unogs'] },
+  subtitles: { prefer: ['unogs'] },
+  price: {}
+};
+
+function loadMergeRules() {
+  if (!process.env.MERGE_RULES) return DEFAULT_MERGE_RULES;
+
+  try {
+    const overrides = JSON.parse(process.env.MERGE_RULES);
+    const rules = { ...DEFAULT_MERGE_RULES };
+    for (const [field, rule] of Object.entries(overrides)) {
+      if (!MERGE_FIELDS[field]) {
+        console.warn(`⚠️ Unknown field "${field}" in MERGE_RULES (${Object.keys(MERGE_FIELDS).join(', ')})`);
+        continue;
+      }
+      rules[field] = { ...rules[field], ...rule };
+    }
+    return rules;
+  } catch (error) {
+    console.error('❌ Invalid MERGE_RULES, using defaults:', error.message);
+    return DEFAULT_MERGE_RULES;
+  }
+}
+
+const MERGE_RULES = loadMergeRules();
+
+const PRICED_TYPES = ['rent', 'buy'];
+// En dessous, la qualité d'une source est une valeur par défaut (TMDB, uNoGS) : elle ne sépare pas les offres
+const RELIABLE_QUALITY_CONFIDENCE = 0.5;
+
+// Clé de fusion entre sources : pays + plateforme + type + addon + saison
+function availabilityMergeKey(avail) {
+  return `${avail.country_code}-${avail.platform}-${avail.streaming_type}-${avail.addon_name || 'null'}-${avail.season_number || 'null'}`;
+}
+
+// confidenceKey : url, quality, audio, subtitles, addon, season ou price
+function sourceConfidence(candidate, confidenceKey) {
+  return candidate.provider.confidence?.[confidenceKey] ?? 0;
+}
+
+/**
+ * Meilleure candidate pour un champ selon sa règle ; null si aucune source ne le renseigne.
+ */
+function pickCandidate(candidates, field) {
+  const rule = MERGE_RULES[field] || {};
+  const confidenceKey = MERGE_FIELDS[field].confidence;
+  const prefer = rule.prefer || [];
+  const preferRank = (candidate) => {
+    const index = prefer.indexOf(candidate.provider.name);
+    return index === -1 ? prefer.length : index;
+  };
+
+  const eligible = candidates.filter(candidate =>
+    MERGE_FIELDS[field].hasValue(candidate.avail) &&
+    sourceConfidence(candidate, confidenceKey) >= (rule.min_confidence || 0)
+  );
+  if (eligible.length === 0) return null;
+
+  // sort est stable : à égalité, l'ordre d'arrivée (priorité de la source, puis ordre de l'API) est gardé
+  const tieBreak = MERGE_FIELDS[field].tieBreak || (() => 0);
+  return eligible.sort((a, b) =>
+    preferRank(a) - preferRank(b) ||
+    sourceConfidence(b, confidenceKey) - sourceConfidence(a, confidenceKey) ||
+    tieBreak(a, b) ||
+    b.provider.priority - a.provider.priority
+  )[0];
+}
+
+/**
+ * Location / achat : une ligne par qualité annoncée par une source fiable (SD 2,99 €, UHD 5,99 €).
+ * Les candidates sans qualité fiable rejoignent chaque ligne ; l'ordre (ligne de base en tête) est gardé.
+ */
+function splitByQuality(candidates) {
+  if (!PRICED_TYPES.includes(candidates[0].avail.streaming_type)) return [candidates];
+
+  const isReliable = candidate => !!candidate.avail.quality &&
+    sourceConfidence(candidate, 'quality') >= RELIABLE_QUALITY_CONFIDENCE;
+  const qualities = [...new Set(candidates.filter(isReliable).map(candidate => candidate.avail.quality))];
+  if (qualities.length <= 1) return [candidates];
+
+  return qualities.map(quality =>
+    candidates.filter(candidate => !isReliable(candidate) || candidate.avail.quality === quality)
+  );
+}
+
+const provenanceOf = (candidate, confidenceKey) => candidate
+  ? { source: candidate.provider.name, confidence: sourceConfidence(candidate, confidenceKey) }
+  : null;
+
+/**
+ * Fusionne les résultats [{ provider, availabilities }] en une ligne par clé (et par qualité en location / achat).
+ * Les pistes audio / sous-titres peuvent venir d'une source sans granularité saison
+ * (même plateforme, même pays) quand aucune ligne de la même clé ne les donne.
+ */
+function mergeProviderResults(results) {
+  const ordered = [...results].sort((a, b) => b.provider.priority - a.provider.priority);
+  const byKey = new Map();
+  const byCountry = new Map();
+
+  for (const { provider, availabilities } of ordered) {
+    for (const avail of availabilities) {
+      const candidate = { provider, avail };
+      const key = availabilityMergeKey(avail);
+      const countryKey = `${avail.country_code}-${avail.platform}`;
+
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(candidate);
+      if (!byCountry.has(countryKey)) byCountry.set(countryKey, []);
+      byCountry.get(countryKey).push(candidate);
+    }
+  }
+
+  return Array.from(byKey.values()).flatMap(splitByQuality).map(candidates => {
+    // La ligne de base (existence, saison, addon) vient de la source la plus prioritaire qui la liste
+    const base = candidates[0];
+    const countryCandidates = byCountry.get(`${base.avail.country_code}-${base.avail.platform}`)
+      .filter(candidate => candidate.avail.season_number === null || candidate.avail.season_number === undefined);
+
+    const picked = {};
+    for (const [field, spec] of Object.entries(MERGE_FIELDS)) {
+      picked[field] = pickCandidate(candidates, field) ||
+        (spec.byCountry ? pickCandidate(countryCandidates, field) : null);
+    }
+    picked.streaming_url = picked.streaming_url || candidates.find(candidate => candidate.avail.streaming_url) || null;
+
+    const audio = picked.audio?.avail;
+    const subtitles = picked.subtitles?.avail;
+
+    return {
+      ...base.avail,
+      streaming_url: picked.streaming_url ? picked.streaming_url.avail.streaming_url : null,
+      link_kind: picked.streaming_url ? picked.streaming_url.avail.link_kind || null : null,
+      quality: picked.quality ? picked.quality.avail.quality : base.avail.quality,
+      price_amount: picked.price ? picked.price.avail.price_amount : null,
+      price_currency: picked.price ? picked.price.avail.price_currency : null,
+      price_formatted: picked.price ? picked.price.avail.price_formatted : null,
+      languages_known: !!(audio || subtitles),
+      audio_languages: audio ? audio.audio_languages : [],
+      subtitle_languages: subtitles ? subtitles.subtitle_languages : [],
+      has_french_audio: audio ? audio.has_french_audio : base.avail.has_french_audio,
+      has_french_subtitles: subtitles ? subtitles.has_french_subtitles : base.avail.has_french_subtitles,
+      source: base.provider.name,
+      provenance: {
+        sources: [...new Set(candidates.map(candidate => candidate.provider.name))],
+        ...Object.fromEntries(Object.entries(MERGE_FIELDS)
+          .map(([field, spec]) => [field, provenanceOf(picked[field], spec.confidence)])),
+        addon_name: base.avail.addon_name ? provenanceOf(base, 'addon') : null
+      }
+    };
+  });
+}
+
+module.exports = { MERGE_FIELDS, MERGE_RULES, mergeProviderResults };
@@ -0,0 +1,206 @@
+const { LANGUAGES, normalizeLanguageCode, getLanguageConfidence } = require('../languages');
+
+// ============================================
+// STREAMING AVAILABILITY API (RapidAPI)
+// ============================================
+// Source la plus riche (liens profonds, pistes audio / sous-titres, saisons, addons)
+// mais payante : chaque titre consomme une requête du quota journalier.
+
+// Kept for the has_french_* columns
+const FRENCH_SPEAKING_COUNTRIES = LANGUAGES.fr.speaking_countries;
+
+// Clé d'une option dans une saison (mêmes colonnes que l'unicité en cache, hors saison)
+const optionKey = (avail) => [avail.country_code, avail.platform, avail.streaming_type, avail.addon_name, avail.quality].join('|');
+
+function toAvailability({ option, ...avail }, seasonNumber, episodeNumbers) {
+  return { ...avail, season_number: seasonNumber, episode_numbers: episodeNumbers };
+}
+
+/**
+ * Saisons de la réponse (series_granularity season ou episode). L'API ne donne pas de numéro :
+ * il est lu dans le titre ("Saison 3", "Season 3"), sinon déduit de la position.
+ * Les épisodes sont numérotés dans l'ordre de la saison.
+ */
+function parseSeasons(seasons) {
+  if (!Array.isArray(seasons)) return [];
+  return seasons.map((season, index) => {
+    const match = /(\d+)/.exec(season.title || '');
+    return {
+      number: match ? parseInt(match[1]) : index + 1,
+      streamingOptions: season.streamingOptions || {},
+      episodes: (season.episodes || []).map((episode, episodeIndex) => ({
+        number: episodeIndex + 1,
+        streamingOptions: episode.streamingOptions || {}
+      }))
+    };
+  });
+}
+
+/**
+ * deps : { callApi (appel décompté du quota), QuotaExceededError, resolvePlatformName, resolveAddon, getCountryName, outputLanguage,
+ *          seriesGranularity (show | season | episode) }
+ */
+function createStreamingAvailabilityProvider({ callApi, QuotaExceededError, resolvePlatformName, resolveAddon, getCountryName, outputLanguage, seriesGranularity = 'season' }) {
+  // streamingOptions ({ pays: [option] }) → lignes sans saison, addons résolus
+  function normaliseOptions(tmdbId, streamingOptions, mediaType) {
+    const rows = [];
+
+    for (const [countryCode, options] of Object.entries(streamingOptions || {})) {
+      const country = countryCode.toUpperCase();
+      const countryName = getCountryName(country);
+      const isFrenchSpeaking = FRENCH_SPEAKING_COUNTRIES.includes(country);
+
+      for (const option of options || []) {
+        if (!option || !option.service) continue;
+
+        const platformKey = option.service.id;
+        let platformName = resolvePlatformName('streaming-availability', platformKey, option.service.name);
+
+        const streamingType = option.type || 'subscription';
+        const addonName = streamingType === 'addon' && option.addon?.name ? option.addon.name : null;
+
+        // Chaînes vendues via une plateforme hôte : rattachées, gardées ou ignorées selon addon_rules
+        // (sans nom : règle par défaut de l'hôte)
+        if (streamingType === 'addon') {
+          const decision = resolveAddon(platformName, country, addonName, { tmdbId, mediaType });
+          if (decision.action === 'drop') continue;
+          platformName = decision.platform;
+        }
+
+        // Real audio and subtitle tracks from the API
+        const audioLanguages = (option.audios || [])
+          .filter(a => a && a.language)
+          .map(a => ({ language: normalizeLanguageCode(a.language), region: a.region || null, closed_captions: false }));
+
+        const subtitleLanguages = (option.subtitles || [])
+          .filter(s => s && (s.locale?.language || s.language))
+          .map(s => ({
+            language: normalizeLanguageCode(s.locale?.language || s.language),
+            region: s.locale?.region || null,
+            closed_captions: !!s.closedCaptions
+          }));
+
+        // Des listes vides veulent dire "pas d'info", pas "aucune langue"
+        const languagesKnown = audioLanguages.length > 0 || subtitleLanguages.length > 0;
+
+        // For French-speaking countries without language data, French is only inferred
+        const frenchAudio = getLanguageConfidence(audioLanguages, 'fra', languagesKnown, isFrenchSpeaking);
+        const frenchSubtitles = getLanguageConfidence(subtitleLanguages, 'fra', languagesKnown, isFrenchSpeaking);
+
+        // Every option is kept whatever its languages: filtering happens at read time for the requested ?lang
+        rows.push({
+          option,
+          tmdb_id: tmdbId,
+          media_type: mediaType,
+          platform: platformName,
+          country_code: country,
+          country_name: countryName,
+          streaming_type: streamingType,
+          addon_name: addonName,
+          has_french_audio: frenchAudio !== 'absent',
+          has_french_subtitles: frenchSubtitles !== 'absent',
+          languages_known: languagesKnown,
+          audio_languages: audioLanguages,
+          subtitle_languages: subtitleLanguages,
+          streaming_url: option.link || null,
+          link_kind: option.link ? 'direct' : null,
+          quality: option.quality || 'hd',
+          // Offres location / achat : { amount: "3.99", currency: "EUR", formatted: "3.99 €" }
+          price_amount: option.price?.amount ? parseFloat(option.price.amount) : null,
+          price_currency: option.price?.currency || null,
+          price_formatted: option.price?.formatted || null,
+          source: 'streaming-availability'
+        });
+      }
+    }
+
+    return rows;
+  }
+
+  return {
+    name: 'streaming-availability',
+    priority: 100,
+    cost: 1,
+    confidence: { url: 0.9, quality: 0.8, audio: 0.9, subtitles: 0.9, addon: 0.9, season: 0.9, price: 0.9 },
+    capabilities: { languages: true, links: true, seasons: true, addons: true },
+
+    isConfigured() {
+      return !!process.env.RAPIDAPI_KEY;
+    },
+
+    async fetch(tmdbId, mediaType = 'movie') {
+      try {
+        const showType = mediaType === 'tv' ? 'tv' : 'movie';
+        const endpoint = `/shows/${showType}/${tmdbId}`;
+
+        console.log(`📡 Fetching ${mediaType} data: ${endpoint}`);
+
+        const response = await callApi(endpoint, {
+          series_granularity: mediaType === 'tv' ? seriesGranularity : undefined,
+          output_language: outputLanguage
+        }, tmdbId, mediaType);
+
+        const countriesCount = response.data.streamingOptions ? Object.keys(response.data.streamingOptions).length : 0;
+        console.log(`✅ Successfully fetched data for ${mediaType} ${tmdbId} (${countriesCount} countries)`);
+
+        return response.data;
+      } catch (error) {
+        // Le refus de quota doit remonter : l'appelant bascule alors sur les sources gratuites
+        if (error instanceof QuotaExceededError) {
+          throw error;
+        }
+        if (error.response?.status === 404) {
+          console.log(`❌ 404 Not Found for ${mediaType} ID ${tmdbId}`);
+          return null;
+        }
+        console.error(`❌ Streaming API error:`, error.response?.data || error.message);
+        return null;
+      }
+    },
+
+    normalise(tmdbId, streamingData, mediaType) {
+      if (!streamingData) {
+        return [];
+      }
+
+      const availabilities = [];
+      const seasons = mediaType === 'tv' ? parseSeasons(streamingData.seasons) : [];
+
+      // Niveau série : sans détail par saison, l'ancien champ option.seasons est encore utilisé
+      for (const avail of normaliseOptions(tmdbId, streamingData.streamingOptions, mediaType)) {
+        const optionSeasons = seasons.length === 0 && mediaType === 'tv' && Array.isArray(avail.option.seasons)
+          ? avail.option.seasons
+          : [null];
+        for (const seasonNumber of optionSeasons) {
+          availabilities.push(toAvailability(avail, seasonNumber, null));
+        }
+      }
+
+      for (const season of seasons) {
+        const seasonRows = new Map();
+        for (const avail of normaliseOptions(tmdbId, season.streamingOptions, mediaType)) {
+          seasonRows.set(optionKey(avail), { avail, episodes: null });
+        }
+
+        // Granularité épisode : les options vues seulement sur certains épisodes donnent une ligne
+        // avec les épisodes couverts ; une option de la saison entière reste à episodes null
+        for (const episode of season.episodes) {
+          for (const avail of normaliseOptions(tmdbId, episode.streamingOptions, mediaType)) {
+            const key = optionKey(avail);
+            if (!seasonRows.has(key)) seasonRows.set(key, { avail, episodes: [] });
+            const row = seasonRows.get(key);
+            if (row.episodes) row.episodes.push(episode.number);
+          }
+        }
+
+        for (const { avail, episodes } of seasonRows.values()) {
+          availabilities.push(toAvailability(avail, season.number, episodes && [...new Set(episodes)].sort((a, b) => a - b)));
+        }
+      }
+
+      return availabilities;
+    }
+  };
+}
+
+module.exports = { createStreamingAvailabilityProvider };
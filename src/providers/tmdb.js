@@ -0,0 +1,92 @@
+const { LANGUAGES } = require('../languages');
+
+// ============================================
+// TMDB WATCH PROVIDERS
+// ============================================
+// Gratuit et large (JustWatch), mais sans langues ni saisons : un lien TMDB par pays,
+// le même pour toutes les plateformes (link_kind "aggregator", remplacé au merge si possible).
+// Les provider_id TMDB sont résolus via le catalogue des plateformes (alias upstream "tmdb").
+
+// Kept for the has_french_* columns
+const FRENCH_SPEAKING_COUNTRIES = LANGUAGES.fr.speaking_countries;
+
+// TMDB list name → streaming_type
+const TMDB_STREAMING_TYPES = {
+  flatrate: 'subscription',
+  rent: 'rent',
+  buy: 'buy'
+};
+
+/**
+ * deps : { client (axios TMDB), resolvePlatformName, getCountryName }
+ */
+function createTmdbProvider({ client, resolvePlatformName, getCountryName }) {
+  return {
+    name: 'tmdb',
+    priority: 10,
+    cost: 0,
+    // Le lien pointe vers la page TMDB du titre, pas vers la plateforme
+    confidence: { url: 0.4, quality: 0.2, audio: 0, subtitles: 0, addon: 0, season: 0.5, price: 0 },
+    capabilities: { languages: false, links: true, seasons: false, addons: false },
+
+    isConfigured() {
+      return !!process.env.TMDB_API_KEY;
+    },
+
+    async fetch(tmdbId, mediaType = 'movie') {
+      try {
+        const endpoint = mediaType === 'tv' ? `/tv/${tmdbId}/watch/providers` : `/movie/${tmdbId}/watch/providers`;
+        const response = await client.get(endpoint);
+        console.log(`📺 TMDB Watch Providers for ${mediaType} ${tmdbId}: ${Object.keys(response.data.results || {}).length} countries`);
+        return response.data.results || {};
+      } catch (error) {
+        console.error('TMDB Watch Providers error:', error.message);
+        return {};
+      }
+    },
+
+    normalise(tmdbId, providersData, mediaType) {
+      const availabilities = [];
+
+      for (const [countryCode, data] of Object.entries(providersData || {})) {
+        const country = countryCode.toUpperCase();
+        const countryName = getCountryName(country);
+        const isFrenchSpeaking = FRENCH_SPEAKING_COUNTRIES.includes(country);
+
+        for (const [list, streamingType] of Object.entries(TMDB_STREAMING_TYPES)) {
+          for (const provider of data[list] || []) {
+            const platformName = resolvePlatformName('tmdb', provider.provider_id, provider.provider_name);
+
+            availabilities.push({
+              tmdb_id: tmdbId,
+              media_type: mediaType,
+              platform: platformName,
+              country_code: country,
+              country_name: countryName,
+              streaming_type: streamingType,
+              addon_name: null,
+              season_number: null,
+              has_french_audio: isFrenchSpeaking,
+              has_french_subtitles: isFrenchSpeaking,
+              // TMDB ne donne pas les langues : la VF n'est que supposée
+              languages_known: false,
+              audio_languages: [],
+              subtitle_languages: [],
+              streaming_url: data.link || null,
+              link_kind: data.link ? 'aggregator' : null,
+              quality: 'hd',
+              price_amount: null,
+              price_currency: null,
+              price_formatted: null,
+              source: 'tmdb'
+            });
+          }
+        }
+      }
+
+      return availabilities;
+    }
+  };
+}
+
+module.exports = { createTmdbProvider };
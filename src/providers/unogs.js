@@ -0,0 +1,242 @@
+const path = require('path');
+const axios = require('axios');
+const { LANGUAGES, getLanguageConfidence } = require('../languages');
+const { withFixtures } = require('./fixtures');
+
+// ============================================
+// uNoGS (unogsNG sur RapidAPI)
+// ============================================
+// Catalogue Netflix par pays avec les pistes audio / sous-titres réelles.
+// Complète TMDB (qui n'a pas les langues) sans consommer le quota Streaming Availability :
+// uNoGS a son propre abonnement RapidAPI (UNOGS_API_KEY), décompté à part (UNOGS_DAILY_LIMIT).
+//
+// Le titre est identifié par son netflix id, résolu dans cet ordre :
+//   1. table provider_external_ids (résolution précédente, y compris "pas sur Netflix")
+//   2. lien Netflix déjà en cache (source streaming-availability)
+//   3. recherche uNoGS par titre + année, validée par l'imdb id TMDB
+
+const PROVIDER_NAME = 'unogs';
+
+// Une recherche infructueuse est refaite après ce délai (le titre a pu arriver sur Netflix)
+const UNRESOLVED_RETRY_DAYS = 7;
+
+// Kept for the has_french_* columns
+const FRENCH_SPEAKING_COUNTRIES = LANGUAGES.fr.speaking_countries;
+
+// uNoGS donne les langues en toutes lettres (anglais) → ISO 639-2/T
+const LANGUAGE_NAMES = {
+  english: 'eng', french: 'fra', spanish: 'spa', castilian: 'spa', german: 'deu', italian: 'ita',
+  portuguese: 'por', dutch: 'nld', flemish: 'nld', japanese: 'jpn', korean: 'kor',
+  mandarin: 'zho', chinese: 'zho', cantonese: 'yue', arabic: 'ara', russian: 'rus', polish: 'pol',
+  swedish: 'swe', danish: 'dan', norwegian: 'nor', finnish: 'fin', turkish: 'tur', czech: 'ces',
+  greek: 'ell', hungarian: 'hun', romanian: 'ron', hebrew: 'heb', hindi: 'hin', thai: 'tha',
+  catalan: 'cat', indonesian: 'ind', vietnamese: 'vie', malay: 'msa', ukrainian: 'ukr',
+  tamil: 'tam', telugu: 'tel', filipino: 'fil', croatian: 'hrv', serbian: 'srp', slovak: 'slk',
+  bulgarian: 'bul', icelandic: 'isl', basque: 'eus', galician: 'glg'
+};
+
+// Variantes régionales, testées avant le nom de base
+const REGIONAL_VARIANTS = [
+  [/canadian french|french \(canad/i, 'fra', 'CA'],
+  [/brazilian|portuguese \(brazil/i, 'por', 'BR'],
+  [/latin american|spanish \(latin/i, 'spa', '419'],
+  [/european spanish|spanish \(spain/i, 'spa', 'ES']
+];
+
+/**
+ * "French [Original], English - Audio Description, Spanish (Latin America) [CC]" → pistes.
+ * Les pistes d'audiodescription sont ignorées.
+ */
+function parseLanguageList(value) {
+  if (!value) return [];
+
+  const tracks = new Map();
+  for (const token of String(value).split(',')) {
+    const label = token.trim();
+    if (!label || /audio ?description/i.test(label)) continue;
+
+    const variant = REGIONAL_VARIANTS.find(([pattern]) => pattern.test(label));
+    const baseName = label.toLowerCase().replace(/\[.*?\]|\(.*?\)/g, '').split(/\s+-\s+/)[0].trim();
+    const language = variant ? variant[1] : LANGUAGE_NAMES[baseName] || LANGUAGE_NAMES[baseName.split(/\s+/).pop()];
+    if (!language) continue;
+
+    const track = {
+      language,
+      region: variant ? variant[2] : null,
+      closed_captions: /\[cc\]|closed caption/i.test(label)
+    };
+    const key = `${track.language}-${track.region}-${track.closed_captions}`;
+    if (!tracks.has(key)) tracks.set(key, track);
+  }
+  return Array.from(tracks.values());
+}
+
+/**
+ * Client unogsNG. UNOGS_FIXTURES=record enregistre les réponses dans UNOGS_FIXTURES_DIR
+ * (défaut fixtures/unogs), UNOGS_FIXTURES=replay les relit sans réseau ni clé.
+ */
+function createUnogsClient() {
+  const client = axios.create({
+    baseURL: 'https://unogsng.p.rapidapi.com',
+    timeout: 15000,
+    headers: {
+      'X-RapidAPI-Key': process.env.UNOGS_API_KEY,
+      'X-RapidAPI-Host': 'unogsng.p.rapidapi.com'
+    }
+  });
+
+  return withFixtures(client, {
+    dir: process.env.UNOGS_FIXTURES_DIR || path.join(__dirname, '..', '..', 'fixtures', 'unogs'),
+    mode: process.env.UNOGS_FIXTURES
+  });
+}
+
+/**
+ * deps : { client (createUnogsClient), tmdbClient, resolvePlatformName, getCountryName,
+ *          reserveQuota (endpoint, tmdbId, mediaType → lève QuotaExceededError une fois le budget épuisé),
+ *          QuotaExceededError }
+ * Sans reserveQuota (rejeu de fixtures, CLI), les appels ne sont pas décomptés.
+ */
+function createUnogsProvider({ client, tmdbClient, resolvePlatformName, getCountryName, reserveQuota = null, QuotaExceededError = null }) {
+  // Nom canonique courant de Netflix (le catalogue peut l'avoir renommé depuis le démarrage)
+  const netflixPlatform = () => resolvePlatformName('name', null, 'Netflix');
+
+  async function callApi(endpoint, params, tmdbId, mediaType) {
+    if (reserveQuota) await reserveQuota(endpoint, tmdbId, mediaType);
+    return client.get(endpoint, { params });
+  }
+
+  async function searchNetflixId(tmdbId, mediaType) {
+    const details = await tmdbClient.get(`/${mediaType}/${tmdbId}`, {
+      params: { language: 'en-US', append_to_response: 'external_ids' }
+    });
+    const title = details.data.original_title || details.data.original_name || details.data.title || details.data.name;
+    const year = parseInt((details.data.release_date || details.data.first_air_date || '').slice(0, 4)) || null;
+    const imdbId = details.data.imdb_id || details.data.external_ids?.imdb_id || null;
+    if (!title) return null;
+
+    const response = await callApi('/search', {
+      query: title,
+      type: mediaType === 'tv' ? 'series' : 'movie',
+      start_year: year ? year - 1 : undefined,
+      end_year: year ? year + 1 : undefined,
+      limit: 20
+    }, tmdbId, mediaType);
+    const results = response.data.results || [];
+
+    // L'imdb id est fiable ; à défaut, seulement un titre identique de la bonne année
+    const match = (imdbId && results.find(result => result.imdb_id === imdbId)) ||
+      results.find(result => (result.title || '').toLowerCase() === title.toLowerCase() &&
+        (!year || parseInt(result.year) === year));
+    return match ? String(match.netflix_id) : null;
+  }
+
+  async function resolveNetflixId(tmdbId, mediaType, db) {
+    if (db) {
+      const known = await db.query(
+        `SELECT external_id FROM provider_external_ids
+         WHERE provider = $1 AND tmdb_id = $2 AND media_type = $3
+           AND (external_id IS NOT NULL OR resolved_at > CURRENT_TIMESTAMP - ($4 * INTERVAL '1 day'))`,
+        [PROVIDER_NAME, tmdbId, mediaType, UNRESOLVED_RETRY_DAYS]
+      );
+      if (known.rows.length > 0) return known.rows[0].external_id;
+
+      const cachedLink = await db.query(
+        `SELECT substring(streaming_url FROM 'netflix\\.com/(?:[a-z-]+/)?title/(\\d+)') AS netflix_id
+         FROM availabilities
+         WHERE tmdb_id = $1 AND media_type = $2 AND platform = $3 AND streaming_url ~ 'netflix\\.com/(?:[a-z-]+/)?title/\\d+'
+         LIMIT 1`,
+        [tmdbId, mediaType, netflixPlatform()]
+      );
+      const netflixId = cachedLink.rows[0]?.netflix_id || await searchNetflixId(tmdbId, mediaType);
+
+      await db.query(
+        `INSERT INTO provider_external_ids (provider, tmdb_id, media_type, external_id, resolved_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+         ON CONFLICT (provider, tmdb_id, media_type)
+         DO UPDATE SET external_id = EXCLUDED.external_id, resolved_at = CURRENT_TIMESTAMP`,
+        [PROVIDER_NAME, tmdbId, mediaType, netflixId]
+      );
+      return netflixId;
+    }
+
+    return searchNetflixId(tmdbId, mediaType);
+  }
+
+  return {
+    name: PROVIDER_NAME,
+    priority: 50,
+    cost: 1,
+    // Pistes audio / sous-titres préférées par défaut via MERGE_RULES (merge.js), pas par la confiance
+    confidence: { url: 0.8, quality: 0.2, audio: 0.9, subtitles: 0.9, addon: 0, season: 0.5, price: 0 },
+    capabilities: { languages: true, links: true, seasons: false, addons: false },
+
+    isConfigured() {
+      return !!process.env.UNOGS_API_KEY || process.env.UNOGS_FIXTURES === 'replay';
+    },
+
+    // netflixId peut être fourni directement (rejeu de fixtures, debug)
+    async fetch(tmdbId, mediaType = 'movie', { db, netflixId } = {}) {
+      try {
+        const id = netflixId || await resolveNetflixId(tmdbId, mediaType, db);
+        if (!id) {
+          console.log(`🎞️ uNoGS: ${mediaType} ${tmdbId} not found on Netflix`);
+          return null;
+        }
+
+        const response = await callApi('/titlecountries', { netflixid: id }, tmdbId, mediaType);
+        const countries = response.data.results || [];
+        console.log(`🎞️ uNoGS: Netflix ${id} for ${mediaType} ${tmdbId} (${countries.length} countries)`);
+
+        return { netflix_id: id, countries };
+      } catch (error) {
+        // Le refus de quota remonte comme pour Streaming Availability
+        if (QuotaExceededError && error instanceof QuotaExceededError) {
+          throw error;
+        }
+        console.error('❌ uNoGS error:', error.response?.data || error.message);
+        return null;
+      }
+    },
+
+    normalise(tmdbId, raw, mediaType) {
+      if (!raw || !raw.countries) return [];
+      const platform = netflixPlatform();
+
+      return raw.countries
+        .filter(item => item && (item.countrycode || item.cc))
+        .map(item => {
+          const country = String(item.countrycode || item.cc).trim().toUpperCase();
+          const isFrenchSpeaking = FRENCH_SPEAKING_COUNTRIES.includes(country);
+          const audioLanguages = parseLanguageList(item.audio);
+          const subtitleLanguages = parseLanguageList(item.subtitle);
+          const languagesKnown = audioLanguages.length > 0 || subtitleLanguages.length > 0;
+
+          return {
+            tmdb_id: tmdbId,
+            media_type: mediaType,
+            platform,
+            country_code: country,
+            country_name: getCountryName(country),
+            streaming_type: 'subscription',
+            addon_name: null,
+            season_number: null,
+            has_french_audio: getLanguageConfidence(audioLanguages, 'fra', languagesKnown, isFrenchSpeaking) !== 'absent',
+            has_french_subtitles: getLanguageConfidence(subtitleLanguages, 'fra', languagesKnown, isFrenchSpeaking) !== 'absent',
+            languages_known: languagesKnown,
+            audio_languages: audioLanguages,
+            subtitle_languages: subtitleLanguages,
+            streaming_url: `https://www.netflix.com/title/${raw.netflix_id}`,
+            link_kind: 'direct',
+            quality: 'hd',
+            price_amount: null,
+            price_currency: null,
+            price_formatted: null,
+            source: PROVIDER_NAME
+          };
+        });
+    }
+  };
+}
+
+module.exports = { createUnogsClient, createUnogsProvider, parseLanguageList };
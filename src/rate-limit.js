@@ -0,0 +1,94 @@
+// ============================================
+// RATE LIMITING
+// ============================================
+// Fenêtre fixe par client : un bucket par (limiteur, clé d'API vérifiée ou IP).
+// Le store est interchangeable : mémoire (tests, instance unique) ou Postgres (production).
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { hits: 0, resetAt: (Math.floor(now / windowMs) + 1) * windowMs };
+      this.buckets.set(key, bucket);
+    }
+    bucket.hits++;
+
+    return { hits: bucket.hits, resetAt: bucket.resetAt };
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.resetAt <= now) this.buckets.delete(key);
+    }
+  }
+}
+
+class PostgresRateLimitStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // La fenêtre est calculée avec l'horloge de Postgres, commune à toutes les instances
+  async increment(key, windowMs) {
+    const result = await this.db.query(
+      `INSERT INTO rate_limit_buckets (bucket_key, window_start, hits)
+       VALUES ($1, to_timestamp(floor(extract(epoch FROM now()) * 1000 / $2) * $2 / 1000.0), 1)
+       ON CONFLICT (bucket_key) DO UPDATE SET
+         hits = CASE WHEN rate_limit_buckets.window_start = EXCLUDED.window_start
+                     THEN rate_limit_buckets.hits + 1 ELSE 1 END,
+         window_start = EXCLUDED.window_start
+       RETURNING hits, (extract(epoch FROM window_start) * 1000)::bigint AS window_start_ms`,
+      [key, windowMs]
+    );
+    const row = result.rows[0];
+    return { hits: row.hits, resetAt: Number(row.window_start_ms) + windowMs };
+  }
+
+  async cleanup() {
+    await this.db.query(`DELETE FROM rate_limit_buckets WHERE window_start < now() - INTERVAL '1 day'`);
+  }
+}
+
+/**
+ * Middleware de rate limiting.
+ * Répond 429 avec Retry-After une fois la limite atteinte, et expose toujours
+ * les headers RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset (en secondes).
+ * skip(req) permet de ne compter que certaines requêtes (ex. refresh forcé).
+ */
+function rateLimit({ name, windowMs, max, store, skip = null }) {
+  return async (req, res, next) => {
+    if (skip && skip(req)) return next();
+
+    const client = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+
+    let bucket;
+    try {
+      bucket = await store.increment(`${name}:${client}`, windowMs);
+    } catch (error) {
+      // Le store ne doit pas rendre l'API indisponible
+      console.error(`Rate limit store error (${name}):`, error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((bucket.resetAt - Date.now()) / 1000), 0);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - bucket.hits, 0)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (bucket.hits > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: 'Too many requests', retry_after: resetSeconds });
+    }
+
+    next();
+  };
+}
+
+module.exports = { MemoryRateLimitStore, PostgresRateLimitStore, rateLimit };
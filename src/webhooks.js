@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { assertPublicUrl } = require('./notifiers');
+
+// ============================================
+// OUTGOING WEBHOOKS
+// ============================================
+// Chaque refresh qui modifie les disponibilités d'un titre crée une livraison par abonnement
+// concerné. Le worker les envoie en POST JSON signé et réessaie avec un backoff exponentiel
+// (WEBHOOK_RETRY_BASE_MS × 2^(tentative - 1)) jusqu'à WEBHOOK_MAX_ATTEMPTS, puis "failed".
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 60 * 1000;
+const WEBHOOK_BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE) || 20;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Signature envoyée dans X-Webhook-Signature : "sha256=" + HMAC-SHA256(secret, "<timestamp>.<body>").
+ * Le timestamp (X-Webhook-Timestamp, en secondes) est signé pour empêcher le rejeu.
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function eventMatchesSubscription(subscription, mediaType, event) {
+  const { platform, country_code: countryCode } = event.avail;
+  if (subscription.media_types.length > 0 && !subscription.media_types.includes(mediaType)) return false;
+  if (subscription.platforms.length > 0 && !subscription.platforms.includes(platform.toLowerCase())) return false;
+  if (subscription.countries.length > 0 && !subscription.countries.includes(countryCode)) return false;
+  return true;
+}
+
+/**
+ * Crée les livraisons pour les événements d'un refresh. À appeler avec le client de la
+ * transaction d'écriture du cache : les livraisons existent si et seulement si les événements existent.
+ */
+async function enqueueWebhookDeliveries(client, tmdbId, mediaType, events) {
+  if (events.length === 0) return 0;
+
+  const subscriptions = await client.query('SELECT id, platforms, countries, media_types FROM webhook_subscriptions WHERE active');
+  const occurredAt = new Date().toISOString();
+  const deliveries = [];
+
+  for (const subscription of subscriptions.rows) {
+    const changes = events.filter(event => eventMatchesSubscription(subscription, mediaType, event));
+    if (changes.length === 0) continue;
+
+    deliveries.push({
+      subscriptionId: subscription.id,
+      payload: {
+        type: 'availability.changed',
+        tmdb_id: tmdbId,
+        media_type: mediaType,
+        occurred_at: occurredAt,
+        changes: changes.map(event => ({
+          event_type: event.event_type,
+          platform: event.avail.platform,
+          country_code: event.avail.country_code,
+          streaming_type: event.avail.streaming_type,
+          addon_name: event.avail.addon_name || null,
+          season_number: event.avail.season_number ?? null,
+          previous: event.previous,
+          current: event.current
+        }))
+      }
+    });
+  }
+
+  if (deliveries.length > 0) {
+    await client.query(
+      `INSERT INTO webhook_deliveries (subscription_id, tmdb_id, media_type, payload)
+       SELECT t.subscription_id, $1::int, $2::text, t.payload
+       FROM unnest($3::int[], $4::jsonb[]) AS t(subscription_id, payload)`,
+      [tmdbId, mediaType, deliveries.map(d => d.subscriptionId), deliveries.map(d => JSON.stringify(d.payload))]
+    );
+  }
+  return deliveries.length;
+}
+
+// Même principe que la refresh queue : SKIP LOCKED pour plusieurs instances,
+// une livraison restée "processing" plus de 10 minutes (instance tuée) est reprise.
+async function claimWebhookDelivery(db) {
+  const result = await db.query(
+    `UPDATE webhook_deliveries d
+     SET status = 'processing', locked_at = CURRENT_TIMESTAMP, attempts = d.attempts + 1
+     FROM webhook_subscriptions s
+     WHERE s.id = d.subscription_id AND d.id = (
+       SELECT id FROM webhook_deliveries
+       WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+          OR (status = 'processing' AND locked_at < CURRENT_TIMESTAMP - INTERVAL '10 minutes')
+       ORDER BY next_attempt_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING d.*, s.url, s.secret, s.active`
+  );
+  return result.rows[0] || null;
+}
+
+async function sendWebhookDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const agents = await assertPublicUrl(delivery.url);
+  return axios.post(delivery.url, body, {
+    ...agents,
+    timeout: WEBHOOK_TIMEOUT_MS,
+    maxRedirects: 0,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'vf-movie-backend',
+      'X-Webhook-Id': String(delivery.id),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+    }
+  });
+}
+
+async function recordWebhookFailure(db, delivery, error) {
+  const status = delivery.attempts >= WEBHOOK_MAX_ATTEMPTS ? 'failed' : 'pending';
+  await db.query(
+    `UPDATE webhook_deliveries
+     SET status = $2, last_error = $3, last_status_code = $4, locked_at = NULL,
+         next_attempt_at = CURRENT_TIMESTAMP + ($5 * INTERVAL '1 millisecond')
+     WHERE id = $1`,
+    [delivery.id, status, error.message, error.response?.status || null,
+     WEBHOOK_RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1)]
+  );
+  return status;
+}
+
+let webhookWorkerRunning = false;
+
+async function processWebhookDeliveries(db) {
+  if (webhookWorkerRunning) return;
+  webhookWorkerRunning = true;
+
+  try {
+    for (let i = 0; i < WEBHOOK_BATCH_SIZE; i++) {
+      const delivery = await claimWebhookDelivery(db);
+      if (!delivery) break;
+
+      if (!delivery.active) {
+        await recordWebhookFailure(db, { ...delivery, attempts: WEBHOOK_MAX_ATTEMPTS }, new Error('Subscription disabled'));
+        continue;
+      }
+
+      try {
+        const response = await sendWebhookDelivery(delivery);
+        await db.query(
+          `UPDATE webhook_deliveries
+           SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, last_status_code = $2, last_error = NULL, locked_at = NULL
+           WHERE id = $1`,
+          [delivery.id, response.status]
+        );
+        console.log(`📤 Webhook #${delivery.id} delivered to subscription #${delivery.subscription_id}`);
+      } catch (error) {
+        const status = await recordWebhookFailure(db, delivery, error);
+        console.error(`❌ Webhook #${delivery.id} attempt ${delivery.attempts} failed (${status}):`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Webhook worker error:', error.message);
+  } finally {
+    webhookWorkerRunning = false;
+  }
+}
+
+module.exports = {
+  WEBHOOK_MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signPayload,
+  enqueueWebhookDeliveries,
+  processWebhookDeliveries
+};
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAddonRules, resolveAddon, flushUnmappedAddons } = require('../src/addons');
+
+// Règles de migrations/014 pour Prime Video, déjà jointes aux noms de plateformes
+const primeRules = {
+  async query() {
+    return {
+      rows: [
+        { id: 1, country_code: null, pattern: 'starz', action: 'map', priority: 0, host_platform: 'Amazon Prime', target_platform: 'Starz' },
+        { id: 2, country_code: null, pattern: null, action: 'drop', priority: 0, host_platform: 'Amazon Prime', target_platform: null }
+      ]
+    };
+  }
+};
+
+test('addons without a name only follow the host default rule and are not reported', async () => {
+  await loadAddonRules(primeRules);
+
+  assert.deepStrictEqual(resolveAddon('Amazon Prime', 'FR', 'Starz Amazon Channel'), { action: 'map', platform: 'Starz', rule_id: 1 });
+  assert.deepStrictEqual(resolveAddon('Amazon Prime', 'FR', null), { action: 'drop', platform: 'Amazon Prime', rule_id: 2 });
+  assert.deepStrictEqual(resolveAddon('Apple TV', 'FR', null), { action: 'keep', platform: 'Apple TV', rule_id: null });
+
+  const written = [];
+  await flushUnmappedAddons({ async query(sql, params) { written.push(params); } });
+  assert.strictEqual(written.length, 0);
+});
+
+test('flushUnmappedAddons keeps the sightings when the write fails', async () => {
+  await loadAddonRules(primeRules);
+  resolveAddon('Amazon Prime', 'FR', 'Cinema Channel', { tmdbId: 27205, mediaType: 'movie' });
+
+  const failing = { async query() { throw new Error('db down'); } };
+  await assert.rejects(flushUnmappedAddons(failing), /db down/);
+
+  // Vu encore une fois avant le flush suivant : les deux passages sont comptés
+  resolveAddon('Amazon Prime', 'FR', 'Cinema Channel', { tmdbId: 27205, mediaType: 'movie' });
+  const written = [];
+  assert.strictEqual(await flushUnmappedAddons({ async query(sql, params) { written.push(params); } }), 1);
+  assert.deepStrictEqual(written[0], [['Amazon Prime'], ['FR'], ['Cinema Channel'], [2], [27205], ['movie']]);
+  assert.strictEqual(await flushUnmappedAddons(failing), 0);
+});
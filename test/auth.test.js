@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { authenticate } = require('../src/auth');
+
+// Base en mémoire : une clé, et la liste des requêtes reçues
+function fakeDb(lastUsedAt) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push(sql);
+      if (sql.startsWith('SELECT')) {
+        return { rows: [{ id: 7, name: 'ci', role: 'debug', last_used_at: lastUsedAt }] };
+      }
+      return { rows: [], rowCount: 1 };
+    }
+  };
+}
+
+async function authenticateWith(db, headers) {
+  const req = { get: name => headers[name] };
+  const res = { status(code) { this.statusCode = code; return this; }, json() { return this; } };
+  let passed = false;
+  await authenticate(db)(req, res, () => { passed = true; });
+  return { req, res, passed };
+}
+
+test('authenticate exposes the key without its last_used_at', async () => {
+  const { req, passed } = await authenticateWith(fakeDb(null), { authorization: 'Bearer vfk_test' });
+  assert.strictEqual(passed, true);
+  assert.deepStrictEqual(req.apiKey, { id: 7, name: 'ci', role: 'debug' });
+});
+
+test('authenticate only rewrites last_used_at once per interval', async () => {
+  const recent = fakeDb(new Date());
+  await authenticateWith(recent, { 'x-api-key': 'vfk_test' });
+  assert.strictEqual(recent.queries.filter(sql => sql.startsWith('UPDATE')).length, 0);
+
+  const old = fakeDb(new Date(Date.now() - 10 * 60 * 1000));
+  await authenticateWith(old, { 'x-api-key': 'vfk_test' });
+  assert.strictEqual(old.queries.filter(sql => sql.startsWith('UPDATE')).length, 1);
+});
+
+test('authenticate rejects unknown keys and ignores requests without one', async () => {
+  const empty = { async query() { return { rows: [] }; } };
+  const rejected = await authenticateWith(empty, { 'x-api-key': 'vfk_unknown' });
+  assert.strictEqual(rejected.passed, false);
+  assert.strictEqual(rejected.res.statusCode, 401);
+
+  const anonymous = await authenticateWith(empty, {});
+  assert.strictEqual(anonymous.passed, true);
+  assert.strictEqual(anonymous.req.apiKey, undefined);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExchangeRates, convertToEur } = require('../src/exchange-rates');
+
+test('convertToEur converts with the loaded rates and rounds to the cent', async () => {
+  // numeric arrive en chaîne depuis node-pg
+  const size = await loadExchangeRates({
+    async query() {
+      return { rows: [{ currency: 'USD', rate_to_eur: '0.9234' }, { currency: 'GBP', rate_to_eur: '1.1712' }] };
+    }
+  });
+  assert.strictEqual(size, 3);
+
+  assert.strictEqual(convertToEur(9.99, 'USD'), 9.22);
+  assert.strictEqual(convertToEur('4.49', 'gbp'), 5.26);
+  assert.strictEqual(convertToEur(3.99, 'EUR'), 3.99);
+});
+
+test('convertToEur returns null for an unknown currency or amount', async () => {
+  await loadExchangeRates({ async query() { return { rows: [] }; } });
+
+  assert.strictEqual(convertToEur(9.99, 'USD'), null);
+  assert.strictEqual(convertToEur(null, 'EUR'), null);
+  assert.strictEqual(convertToEur(9.99, null), null);
+  assert.strictEqual(convertToEur(0, 'EUR'), 0);
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getLanguageConfig } = require('../src/languages');
+
+test('getLanguageConfig resolves supported languages case-insensitively', () => {
+  assert.strictEqual(getLanguageConfig('ES').key, 'es');
+  assert.ok(getLanguageConfig().key);
+  assert.strictEqual(getLanguageConfig('xx'), null);
+});
+
+test('getLanguageConfig refuses repeated or non-string values', () => {
+  assert.strictEqual(getLanguageConfig(['fr', 'es']), null);
+  assert.strictEqual(getLanguageConfig({ fr: '' }), null);
+  assert.strictEqual(getLanguageConfig(1), null);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadLinkTemplates, classifyLink, resolveLink, validateLinkTemplate } = require('../src/links');
+
+// platforms / platform_link_templates minimaux, même forme que les lignes lues en base
+const linkTables = {
+  async query(sql) {
+    if (sql.includes('FROM platform_link_templates')) {
+      return {
+        rows: [
+          { platform_id: 'canal', kind: 'deep', country_code: 'FR', template: 'https://www.canalplus.com/fr/{media_type}/{tmdb_id}' },
+          { platform_id: 'canal', kind: 'search', country_code: null, template: 'https://www.canalplus.com/recherche?q={title}' },
+          { platform_id: 'mubi', kind: 'search', country_code: null, template: 'https://mubi.com/search?query={original_title}' }
+        ]
+      };
+    }
+    return {
+      rows: [
+        { id: 'canal', name: 'Canal+', homepage_url: 'https://www.canalplus.com' },
+        { id: 'mubi', name: 'MUBI', homepage_url: 'https://mubi.com' },
+        { id: 'arte', name: 'Arte', homepage_url: 'https://www.arte.tv' }
+      ]
+    };
+  }
+};
+
+const avail = (overrides = {}) => ({ tmdb_id: 27205, media_type: 'movie', country_code: 'FR', platform: 'Canal+', streaming_url: null, ...overrides });
+
+test('classifyLink tells aggregator, search, homepage and direct links apart', async () => {
+  await loadLinkTemplates(linkTables);
+
+  assert.strictEqual(classifyLink('https://www.themoviedb.org/movie/27205/watch?locale=FR', 'Canal+'), 'aggregator');
+  assert.strictEqual(classifyLink('https://www.canalplus.com/recherche?q=Inception', 'Canal+'), 'search');
+  assert.strictEqual(classifyLink('https://www.canalplus.com/', 'Canal+'), 'homepage');
+  assert.strictEqual(classifyLink('https://www.canalplus.com/cinema/inception/h/123', 'Canal+'), 'direct');
+  assert.strictEqual(classifyLink('not a url', 'Canal+'), null);
+  assert.strictEqual(classifyLink(null, 'Canal+'), null);
+});
+
+test('resolveLink prefers a direct link, then the country deep template, search, homepage and aggregator', async () => {
+  await loadLinkTemplates(linkTables);
+
+  const direct = 'https://www.canalplus.com/cinema/inception/h/123';
+  assert.deepStrictEqual(resolveLink(avail({ streaming_url: direct })), { streaming_url: direct, link_kind: 'direct' });
+
+  // Le modèle deep FR remplace une page agrégateur
+  assert.deepStrictEqual(resolveLink(avail({ streaming_url: 'https://www.themoviedb.org/movie/27205/watch' })),
+    { streaming_url: 'https://www.canalplus.com/fr/movie/27205', link_kind: 'direct' });
+
+  // Pas de modèle deep pour la Belgique : recherche avec le titre encodé
+  assert.deepStrictEqual(resolveLink(avail({ country_code: 'BE' }), { title: 'Le Fabuleux Destin' }),
+    { streaming_url: 'https://www.canalplus.com/recherche?q=Le%20Fabuleux%20Destin', link_kind: 'search' });
+
+  // Variable manquante (pas de titre original) : page d'accueil du catalogue
+  assert.deepStrictEqual(resolveLink(avail({ platform: 'MUBI' }), { title: 'Inception' }),
+    { streaming_url: 'https://mubi.com', link_kind: 'homepage' });
+
+  // Plateforme hors catalogue : le lien agrégateur reste en dernier recours
+  assert.deepStrictEqual(resolveLink(avail({ platform: 'Inconnue', streaming_url: 'https://www.justwatch.com/fr/film/inception' })),
+    { streaming_url: 'https://www.justwatch.com/fr/film/inception', link_kind: 'aggregator' });
+});
+
+test('validateLinkTemplate rejects unknown kinds, non-http templates and unknown variables', () => {
+  assert.strictEqual(validateLinkTemplate({ kind: 'deep', template: 'https://www.arte.tv/{country}/videos/{tmdb_id}' }), null);
+  assert.match(validateLinkTemplate({ kind: 'embed', template: 'https://www.arte.tv' }), /kind must be one of: deep, search/);
+  assert.match(validateLinkTemplate({ kind: 'search', template: 'ftp://arte.tv/{title}' }), /http\(s\) URL/);
+  assert.match(validateLinkTemplate({ kind: 'search', template: 'https://www.arte.tv/search?q={name}' }), /Unknown variable \{name\}/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeProviderResults } = require('../src/providers/merge');
+
+const streaming = {
+  name: 'streaming-availability',
+  priority: 100,
+  confidence: { url: 0.9, quality: 0.8, audio: 0.9, subtitles: 0.9, addon: 0.9, season: 0.9, price: 0.9 }
+};
+const unogs = {
+  name: 'unogs',
+  priority: 50,
+  confidence: { url: 0.8, quality: 0.2, audio: 0.9, subtitles: 0.9, addon: 0, season: 0.5, price: 0 }
+};
+const tmdb = {
+  name: 'tmdb',
+  priority: 10,
+  confidence: { url: 0.4, quality: 0.2, audio: 0, subtitles: 0, addon: 0, season: 0.5, price: 0 }
+};
+
+function row(source, overrides = {}) {
+  return {
+    country_code: 'FR',
+    platform: 'Netflix',
+    streaming_type: 'subscription',
+    season_number: null,
+    addon_name: null,
+    streaming_url: `https://${source}.example/title`,
+    link_kind: 'direct',
+    quality: 'hd',
+    languages_known: false,
+    audio_languages: [],
+    subtitle_languages: [],
+    price_amount: null,
+    source,
+    ...overrides
+  };
+}
+
+test('merge takes Netflix tracks from uNoGS by default rule, not by confidence', () => {
+  const [merged] = mergeProviderResults([
+    { provider: streaming, availabilities: [row('sa', { languages_known: true, audio_languages: [{ language: 'eng' }] })] },
+    { provider: unogs, availabilities: [row('unogs', { languages_known: true, audio_languages: [{ language: 'fra' }] })] }
+  ]);
+
+  assert.deepStrictEqual(merged.audio_languages, [{ language: 'fra' }]);
+  assert.deepStrictEqual(merged.provenance.audio, { source: 'unogs', confidence: 0.9 });
+  assert.strictEqual(merged.streaming_url, 'https://sa.example/title');
+});
+
+test('merge keeps addons apart and credits the most confident source for the season', () => {
+  const merged = mergeProviderResults([
+    { provider: tmdb, availabilities: [row('tmdb', { platform: 'Prime Video', season_number: 2, addon_name: 'Starz' })] },
+    { provider: streaming, availabilities: [
+      row('sa', { platform: 'Prime Video', season_number: 2, addon_name: 'Starz' }),
+      row('sa', { platform: 'Prime Video', season_number: 2, addon_name: 'MGM+' })
+    ] }
+  ]);
+
+  assert.deepStrictEqual(merged.map(avail => avail.addon_name), ['Starz', 'MGM+']);
+  assert.deepStrictEqual(merged[0].provenance.sources, ['streaming-availability', 'tmdb']);
+  assert.deepStrictEqual(merged[0].provenance.addon_name, { source: 'streaming-availability', confidence: 0.9 });
+  assert.deepStrictEqual(merged[0].provenance.season, { source: 'streaming-availability', confidence: 0.9 });
+  assert.deepStrictEqual(merged[1].provenance.sources, ['streaming-availability']);
+
+  const [withoutAddon] = mergeProviderResults([
+    { provider: tmdb, availabilities: [row('tmdb')] },
+    { provider: unogs, availabilities: [row('unogs')] }
+  ]);
+  assert.strictEqual(withoutAddon.addon_name, null);
+  assert.strictEqual(withoutAddon.provenance.addon_name, null);
+  assert.deepStrictEqual(withoutAddon.provenance.season, { source: 'unogs', confidence: 0.5 });
+});
+
+test('merge keeps one rent row per quality with its own price', () => {
+  const rent = (quality, price) => row('sa', { streaming_type: 'rent', quality, price_amount: price, price_currency: 'EUR', price_formatted: `${price} €` });
+  const merged = mergeProviderResults([
+    { provider: streaming, availabilities: [rent('uhd', 5.99), rent('sd', 2.99)] },
+    { provider: tmdb, availabilities: [row('tmdb', { streaming_type: 'rent' })] }
+  ]);
+
+  assert.deepStrictEqual(merged.map(avail => [avail.quality, avail.price_formatted]), [['uhd', '5.99 €'], ['sd', '2.99 €']]);
+  assert.ok(merged.every(avail => avail.provenance.sources.includes('tmdb')));
+
+  // Sans qualité fiable (TMDB seul), une seule ligne
+  const [tmdbOnly, ...rest] = mergeProviderResults([
+    { provider: tmdb, availabilities: [row('tmdb', { streaming_type: 'rent', quality: 'hd' })] }
+  ]);
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(tmdbOnly.quality, 'hd');
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const dns = require('dns');
+const { getNotifier, assertPublicUrl } = require('../src/notifiers');
+
+// Serveur HTTP local : garde les corps reçus
+async function startHttpServer() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, body: JSON.parse(body) });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+// Serveur SMTP minimal (le strict nécessaire pour nodemailer, sans STARTTLS ni auth)
+async function startSmtpServer() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let message = { rcpt: [], data: '' };
+    socket.write('220 localhost stand-in\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(message);
+            message = { rcpt: [], data: '' };
+            socket.write('250 queued\r\n');
+          } else {
+            message.data += `${line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 localhost\r\n');
+        else if (command === 'MAIL') socket.write('250 ok\r\n');
+        else if (command === 'RCPT') {
+          message.rcpt.push(line.match(/<(.*)>/)[1]);
+          socket.write('250 ok\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (command === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, messages, port: server.address().port };
+}
+
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+test('webhook notifier refuses private addresses unless ALLOW_PRIVATE_WEBHOOKS is set', async () => {
+  const { server, received, url } = await startHttpServer();
+  try {
+    delete process.env.ALLOW_PRIVATE_WEBHOOKS;
+    await assert.rejects(getNotifier('webhook').send(url, { payload: { ok: true } }), /private address/);
+    assert.strictEqual(received.length, 0);
+
+    process.env.ALLOW_PRIVATE_WEBHOOKS = 'true';
+    await getNotifier('webhook').send(url, { payload: { type: 'availability_alert', tmdb_id: 194 } });
+    assert.deepStrictEqual(received, [{ method: 'POST', body: { type: 'availability_alert', tmdb_id: 194 } }]);
+  } finally {
+    delete process.env.ALLOW_PRIVATE_WEBHOOKS;
+    await close(server);
+  }
+});
+
+test('assertPublicUrl pins the connection to the addresses it checked', async (t) => {
+  const resolved = [{ address: '93.184.216.34', family: 4 }];
+  t.mock.method(dns.promises, 'lookup', async () => resolved);
+
+  const { httpAgent, httpsAgent } = await assertPublicUrl('https://hooks.example.com/alert');
+
+  // Le DNS répond ensuite une adresse interne (rebinding) : la connexion garde l'adresse vérifiée
+  resolved[0] = { address: '127.0.0.1', family: 4 };
+  for (const agent of [httpAgent, httpsAgent]) {
+    const addresses = await new Promise((resolve, reject) => agent.options.lookup('hooks.example.com', { all: true },
+      (error, result) => error ? reject(error) : resolve(result)));
+    assert.deepStrictEqual(addresses, [{ address: '93.184.216.34', family: 4 }]);
+  }
+
+  await assert.rejects(assertPublicUrl('https://hooks.example.com/alert'), /private address/);
+  await assert.rejects(assertPublicUrl('ftp://hooks.example.com/alert'), /Only http/);
+});
+
+test('email notifier sends through SMTP and requires target confirmation', async () => {
+  const { server, messages, port } = await startSmtpServer();
+  const notifier = getNotifier('email');
+  try {
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(port);
+    process.env.SMTP_FROM = 'vf-movie-backend <no-reply@localhost>';
+
+    assert.strictEqual(notifier.requiresConfirmation, true);
+    assert.strictEqual(notifier.validateTarget('someone@example.com'), true);
+    assert.strictEqual(notifier.validateTarget('not an address'), false);
+
+    await notifier.send('someone@example.com', { subject: 'Amélie est disponible', text: 'Netflix (France)' });
+    assert.strictEqual(messages.length, 1);
+    assert.deepStrictEqual(messages[0].rcpt, ['someone@example.com']);
+    assert.match(messages[0].data, /Netflix \(France\)/);
+  } finally {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    delete process.env.SMTP_FROM;
+    await close(server);
+  }
+});
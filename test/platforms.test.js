@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPlatforms, resolvePlatformName, findPlatform, getUpstreamIds } = require('../src/platforms');
+
+// platforms / platform_aliases de migrations/013 pour Netflix et Prime Video
+function catalogueTables(netflixName = 'Netflix') {
+  return {
+    async query(sql) {
+      if (sql.includes('FROM platform_aliases')) {
+        return {
+          rows: [
+            { id: 1, platform_id: 'netflix', upstream: 'streaming-availability', match_type: 'exact', value: 'netflix' },
+            { id: 2, platform_id: 'netflix', upstream: 'tmdb', match_type: 'exact', value: '8' },
+            { id: 3, platform_id: 'netflix', upstream: 'name', match_type: 'pattern', value: '^netflix( (standard|basic|premium))?( with ads)?$' },
+            { id: 4, platform_id: 'prime', upstream: 'tmdb', match_type: 'exact', value: '119' },
+            { id: 5, platform_id: 'prime', upstream: 'name', match_type: 'exact', value: 'Amazon Prime Video' },
+            { id: 6, platform_id: 'prime', upstream: 'name', match_type: 'pattern', value: '(' }
+          ]
+        };
+      }
+      return {
+        rows: [
+          { id: 'netflix', name: netflixName, logo_url: null, homepage_url: 'https://www.netflix.com', countries: [] },
+          { id: 'prime', name: 'Prime Video', logo_url: null, homepage_url: 'https://www.primevideo.com', countries: [] }
+        ]
+      };
+    }
+  };
+}
+
+test('resolvePlatformName tries the upstream id, the exact name, then the patterns', async () => {
+  // L'alias #6 (regex invalide) est ignoré sans bloquer le chargement
+  assert.strictEqual(await loadPlatforms(catalogueTables()), 2);
+
+  assert.strictEqual(resolvePlatformName('tmdb', 8, 'Netflix basic with Ads'), 'Netflix');
+  assert.strictEqual(resolvePlatformName('tmdb', 119, 'Amazon Prime Video with Ads'), 'Prime Video');
+  assert.strictEqual(resolvePlatformName('tmdb', 9999, 'amazon prime video'), 'Prime Video');
+  assert.strictEqual(resolvePlatformName('name', null, 'Netflix Premium'), 'Netflix');
+  assert.strictEqual(resolvePlatformName('tmdb', 9999, '  Mubi  '), 'Mubi');
+  assert.strictEqual(resolvePlatformName('tmdb', 9999, null), '9999');
+
+  assert.strictEqual(findPlatform('prime').name, 'Prime Video');
+  assert.strictEqual(findPlatform('netflix').id, 'netflix');
+  assert.strictEqual(findPlatform('unknown'), null);
+  assert.deepStrictEqual(getUpstreamIds(findPlatform('netflix'), 'tmdb'), ['8']);
+});
+
+test('aliases resolve to the new name once a renamed catalogue is reloaded', async () => {
+  await loadPlatforms(catalogueTables());
+  assert.strictEqual(resolvePlatformName('streaming-availability', 'netflix', 'Netflix'), 'Netflix');
+
+  await loadPlatforms(catalogueTables('Netflix+'));
+  assert.strictEqual(resolvePlatformName('streaming-availability', 'netflix', 'Netflix'), 'Netflix+');
+  assert.strictEqual(resolvePlatformName('tmdb', 8, 'Netflix'), 'Netflix+');
+  assert.strictEqual(resolvePlatformName('name', null, 'Netflix Standard with Ads'), 'Netflix+');
+  // L'id reste un alias de nom : le "Netflix" fixe d'uNoGS suit le renommage
+  assert.strictEqual(resolvePlatformName('name', null, 'Netflix'), 'Netflix+');
+  assert.strictEqual(findPlatform('Netflix+').id, 'netflix');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryRateLimitStore, rateLimit } = require('../src/rate-limit');
+
+// Réponse express minimale : headers, status et body
+function fakeResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+async function hit(limiter, req) {
+  const res = fakeResponse();
+  let passed = false;
+  await limiter(req, res, () => { passed = true; });
+  return { res, passed };
+}
+
+test('MemoryRateLimitStore counts hits per key within a window', async () => {
+  const store = new MemoryRateLimitStore();
+  assert.strictEqual((await store.increment('a', 60000)).hits, 1);
+  assert.strictEqual((await store.increment('a', 60000)).hits, 2);
+  assert.strictEqual((await store.increment('b', 60000)).hits, 1);
+});
+
+test('MemoryRateLimitStore starts a new window once the previous one is over', async () => {
+  const store = new MemoryRateLimitStore();
+  const first = await store.increment('a', 60000);
+  store.buckets.get('a').resetAt = Date.now() - 1;
+
+  const second = await store.increment('a', 60000);
+  assert.strictEqual(second.hits, 1);
+  assert.ok(second.resetAt >= first.resetAt);
+
+  await store.cleanup();
+  assert.ok(store.buckets.has('a'));
+  store.buckets.get('a').resetAt = Date.now() - 1;
+  await store.cleanup();
+  assert.strictEqual(store.buckets.size, 0);
+});
+
+test('rateLimit answers 429 with Retry-After past the limit', async () => {
+  const limiter = rateLimit({ name: 'cheap', windowMs: 60000, max: 2, store: new MemoryRateLimitStore() });
+  const req = { ip: '203.0.113.1' };
+
+  assert.strictEqual((await hit(limiter, req)).passed, true);
+  const second = await hit(limiter, req);
+  assert.strictEqual(second.passed, true);
+  assert.strictEqual(second.res.headers['RateLimit-Remaining'], '0');
+
+  const third = await hit(limiter, req);
+  assert.strictEqual(third.passed, false);
+  assert.strictEqual(third.res.statusCode, 429);
+  assert.ok(Number(third.res.headers['Retry-After']) > 0);
+});
+
+test('rateLimit keys buckets by API key before IP', async () => {
+  const limiter = rateLimit({ name: 'cheap', windowMs: 60000, max: 1, store: new MemoryRateLimitStore() });
+
+  assert.strictEqual((await hit(limiter, { ip: '203.0.113.1', apiKey: { id: 1 } })).passed, true);
+  assert.strictEqual((await hit(limiter, { ip: '203.0.113.1', apiKey: { id: 2 } })).passed, true);
+  assert.strictEqual((await hit(limiter, { ip: '203.0.113.1' })).passed, true);
+  assert.strictEqual((await hit(limiter, { ip: '203.0.113.1', apiKey: { id: 1 } })).passed, false);
+});
+
+test('rateLimit lets skipped requests and store failures through', async () => {
+  const failing = { increment: async () => { throw new Error('db down'); } };
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const limiter = rateLimit({ name: 'costly', windowMs: 60000, max: 1, store: failing });
+    assert.strictEqual((await hit(limiter, { ip: '203.0.113.1' })).passed, true);
+  } finally {
+    console.error = originalError;
+  }
+
+  const skipping = rateLimit({
+    name: 'costly', windowMs: 60000, max: 0, store: new MemoryRateLimitStore(), skip: req => !req.forced
+  });
+  assert.strictEqual((await hit(skipping, { ip: '203.0.113.1' })).passed, true);
+  assert.strictEqual((await hit(skipping, { ip: '203.0.113.1', forced: true })).passed, false);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStreamingAvailabilityProvider } = require('../src/providers/streaming-availability');
+
+const provider = createStreamingAvailabilityProvider({
+  callApi: async () => assert.fail('normalise only'),
+  QuotaExceededError: class extends Error {},
+  resolvePlatformName: (upstream, id, name) => name,
+  resolveAddon: (host) => ({ action: 'keep', platform: host, rule_id: null }),
+  getCountryName: code => code,
+  outputLanguage: 'fr'
+});
+
+const option = (name, type = 'subscription') => ({ service: { id: name.toLowerCase(), name }, type, link: `https://${name.toLowerCase()}.example` });
+
+test('episode granularity keeps season-wide options at episodes null', () => {
+  const rows = provider.normalise(1399, {
+    seasons: [{
+      title: 'Saison 3',
+      streamingOptions: { fr: [option('Netflix')] },
+      episodes: [
+        { streamingOptions: { fr: [option('Netflix'), option('Canal+', 'rent')] } },
+        { streamingOptions: { fr: [option('Netflix')] } },
+        { streamingOptions: { fr: [option('Netflix'), option('Canal+', 'rent')] } }
+      ]
+    }]
+  }, 'tv');
+
+  const byPlatform = Object.fromEntries(rows.map(row => [row.platform, row]));
+  assert.strictEqual(byPlatform.Netflix.season_number, 3);
+  assert.strictEqual(byPlatform.Netflix.episode_numbers, null);
+  assert.deepStrictEqual(byPlatform['Canal+'].episode_numbers, [1, 3]);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { withFixtures } = require('../src/providers/fixtures');
+const { createUnogsProvider, parseLanguageList } = require('../src/providers/unogs');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'unogs');
+
+class QuotaExceededError extends Error {}
+
+// TMDB minimal : les détails d'Inception (27205), seule recherche enregistrée dans les fixtures
+const tmdbClient = {
+  async get(endpoint) {
+    assert.strictEqual(endpoint, '/movie/27205');
+    return { data: { original_title: 'Inception', release_date: '2010-07-15', imdb_id: 'tt1375666' } };
+  }
+};
+
+function replayProvider(deps = {}) {
+  return createUnogsProvider({
+    client: withFixtures({ get: () => assert.fail('no network in replay') }, { dir: FIXTURES_DIR, mode: 'replay' }),
+    tmdbClient,
+    resolvePlatformName: (upstream, id, name) => name,
+    getCountryName: code => code,
+    QuotaExceededError,
+    ...deps
+  });
+}
+
+test('parseLanguageList maps uNoGS labels to tracks and skips audio description', () => {
+  assert.deepStrictEqual(parseLanguageList('English [Original],Canadian French,English - Audio Description'), [
+    { language: 'eng', region: null, closed_captions: false },
+    { language: 'fra', region: 'CA', closed_captions: false }
+  ]);
+  assert.deepStrictEqual(parseLanguageList('English [CC],Klingon'), [
+    { language: 'eng', region: null, closed_captions: true }
+  ]);
+  assert.deepStrictEqual(parseLanguageList(null), []);
+});
+
+test('uNoGS fixtures replay through search, titlecountries and normalise', async () => {
+  const provider = replayProvider();
+  const raw = await provider.fetch(27205, 'movie');
+  assert.strictEqual(raw.netflix_id, '70131314');
+
+  const rows = provider.normalise(27205, raw, 'movie');
+  assert.deepStrictEqual(rows.map(row => row.country_code), ['FR', 'BE', 'CA', 'JP']);
+
+  const [fr, be, ca, jp] = rows;
+  assert.strictEqual(fr.platform, 'Netflix');
+  assert.strictEqual(fr.source, 'unogs');
+  assert.strictEqual(fr.streaming_url, 'https://www.netflix.com/title/70131314');
+  assert.deepStrictEqual(fr.audio_languages.map(track => track.language), ['eng', 'fra', 'deu', 'ita', 'spa']);
+  assert.strictEqual(fr.subtitle_languages[0].closed_captions, true);
+  assert.strictEqual(fr.has_french_audio, true);
+  assert.strictEqual(be.has_french_subtitles, true);
+  assert.deepStrictEqual(ca.audio_languages[1], { language: 'fra', region: 'CA', closed_captions: false });
+  assert.strictEqual(jp.languages_known, true);
+  assert.strictEqual(jp.has_french_audio, false);
+  assert.strictEqual(jp.has_french_subtitles, false);
+});
+
+test('uNoGS reserves quota for each call and lets QuotaExceededError through', async () => {
+  const reserved = [];
+  const provider = replayProvider({
+    reserveQuota: async (endpoint, tmdbId, mediaType) => { reserved.push([endpoint, tmdbId, mediaType]); }
+  });
+  await provider.fetch(27205, 'movie');
+  assert.deepStrictEqual(reserved, [['/search', 27205, 'movie'], ['/titlecountries', 27205, 'movie']]);
+
+  const exhausted = replayProvider({
+    reserveQuota: async () => { throw new QuotaExceededError('unogs daily quota exhausted'); }
+  });
+  await assert.rejects(exhausted.fetch(27205, 'movie', { netflixId: '70131314' }), QuotaExceededError);
+});
+
+test('uNoGS rows and cached Netflix links follow the catalogue name of Netflix', async () => {
+  const resolved = [];
+  const provider = replayProvider({
+    resolvePlatformName: (upstream, id, name) => { resolved.push([upstream, id, name]); return 'Netflix Premium'; }
+  });
+  const queries = [];
+  const db = {
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return { rows: sql.includes('FROM availabilities') ? [{ netflix_id: '70131314' }] : [] };
+    }
+  };
+
+  const raw = await provider.fetch(27205, 'movie', { db });
+  const cachedLink = queries.find(query => query.sql.includes('FROM availabilities'));
+  assert.deepStrictEqual(cachedLink.params, [27205, 'movie', 'Netflix Premium']);
+  assert.ok(provider.normalise(27205, raw, 'movie').every(row => row.platform === 'Netflix Premium'));
+  assert.deepStrictEqual(resolved[0], ['name', null, 'Netflix']);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Lus au chargement du module
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_MS = '1000';
+const { signPayload, enqueueWebhookDeliveries, processWebhookDeliveries } = require('../src/webhooks');
+
+const event = (platform, countryCode) => ({
+  event_type: 'added',
+  avail: { platform, country_code: countryCode, streaming_type: 'subscription', addon_name: null, season_number: null },
+  previous: null,
+  current: { streaming_url: 'https://www.netflix.com/title/70131314' }
+});
+
+// Serveur de test local : répond avec les statuts donnés, dans l'ordre
+async function startReceiver(statuses) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { received, server, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+// Outbox en mémoire : claimWebhookDelivery rend les livraisons dans l'ordre, les UPDATE sont relevés
+function outbox(deliveries) {
+  const updates = [];
+  return {
+    updates,
+    async query(sql, params) {
+      if (sql.includes("SET status = 'processing'")) {
+        const delivery = deliveries.shift();
+        return { rows: delivery ? [{ ...delivery, attempts: delivery.attempts + 1 }] : [] };
+      }
+      updates.push({ sql, params });
+      return { rows: [] };
+    }
+  };
+}
+
+test('enqueueWebhookDeliveries creates one delivery per matching subscription', async () => {
+  const inserts = [];
+  const client = {
+    async query(sql, params) {
+      if (sql.startsWith('SELECT')) {
+        return {
+          rows: [
+            { id: 1, platforms: [], countries: [], media_types: [] },
+            { id: 2, platforms: ['netflix'], countries: ['BE'], media_types: ['movie'] },
+            { id: 3, platforms: [], countries: [], media_types: ['tv'] }
+          ]
+        };
+      }
+      inserts.push(params);
+      return { rows: [] };
+    }
+  };
+
+  const count = await enqueueWebhookDeliveries(client, 27205, 'movie', [event('Netflix', 'FR'), event('Netflix', 'BE')]);
+  assert.strictEqual(count, 2);
+
+  const [tmdbId, mediaType, subscriptionIds, payloads] = inserts[0];
+  assert.deepStrictEqual([tmdbId, mediaType, subscriptionIds], [27205, 'movie', [1, 2]]);
+  assert.deepStrictEqual(JSON.parse(payloads[0]).changes.map(change => change.country_code), ['FR', 'BE']);
+  assert.deepStrictEqual(JSON.parse(payloads[1]).changes.map(change => change.country_code), ['BE']);
+
+  assert.strictEqual(await enqueueWebhookDeliveries(client, 27205, 'movie', []), 0);
+});
+
+test('processWebhookDeliveries signs, delivers and retries with exponential backoff until failed', async (t) => {
+  process.env.ALLOW_PRIVATE_WEBHOOKS = 'true';
+  const receiver = await startReceiver([200, 500, 503]);
+  t.after(() => {
+    delete process.env.ALLOW_PRIVATE_WEBHOOKS;
+    receiver.server.close();
+  });
+
+  const delivery = (id, attempts, active = true) => ({
+    id, subscription_id: 7, attempts, url: receiver.url, secret: 'whsec_test', active,
+    payload: { type: 'availability.changed', tmdb_id: 27205 }
+  });
+  const db = outbox([delivery(1, 0), delivery(2, 0), delivery(3, 2), delivery(4, 0, false)]);
+  await processWebhookDeliveries(db);
+
+  // Signature vérifiable par le destinataire
+  const { headers, body } = receiver.received[0];
+  assert.strictEqual(headers['x-webhook-id'], '1');
+  assert.strictEqual(headers['x-webhook-signature'], signPayload('whsec_test', headers['x-webhook-timestamp'], body));
+  assert.deepStrictEqual(JSON.parse(body), { type: 'availability.changed', tmdb_id: 27205 });
+  // L'abonnement désactivé n'est pas appelé
+  assert.strictEqual(receiver.received.length, 3);
+
+  const [delivered, retried, failed, disabled] = db.updates;
+  assert.match(delivered.sql, /status = 'delivered'/);
+  assert.deepStrictEqual(delivered.params, [1, 200]);
+  // 1re tentative : 1000 ms ; 3e et dernière tentative : failed
+  assert.deepStrictEqual([retried.params[0], retried.params[1], retried.params[3], retried.params[4]], [2, 'pending', 500, 1000]);
+  assert.deepStrictEqual([failed.params[0], failed.params[1], failed.params[3], failed.params[4]], [3, 'failed', 503, 4000]);
+  assert.deepStrictEqual([disabled.params[0], disabled.params[1], disabled.params[2]], [4, 'failed', 'Subscription disabled']);
+});